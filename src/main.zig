@@ -898,6 +898,24 @@ fn runUpdate() void {
             std.process.exit(1);
         },
     }
+
+    printChangesSince(VERSION);
+}
+
+/// Prints the changelog entries newer than `since` (best-effort; nothing is
+/// printed when the worker can't be reached or there is nothing new).
+fn printChangesSince(since: []const u8) void {
+    const stdout = std.fs.File.stdout().deprecatedWriter();
+    const alloc = std.heap.page_allocator;
+
+    var url_buf: [96]u8 = undefined;
+    const url = std.fmt.bufPrint(&url_buf, "https://nanobrew.trilok.ai/changelog?since={s}", .{since}) catch return;
+    const body = nb.fetch.get(alloc, url) catch return;
+    defer alloc.free(body);
+
+    const notes = std.mem.trim(u8, body, "\n \t");
+    if (notes.len == 0) return;
+    stdout.print("\n==> What's new since {s}\n\n{s}\n", .{ since, notes }) catch {};
 }
 
 // ── nb install --cask ──
@@ -2125,8 +2143,16 @@ fn checkForUpdate(alloc: std.mem.Allocator) void {
         f.writeAll(ts_str) catch {};
     } else |_| {}
 
-    // Fetch latest version from Cloudflare worker (native HTTP, no curl)
-    const body = nb.fetch.get(alloc, "https://nanobrew.trilok.ai/version") catch return;
+    // Fetch latest version on our release channel from Cloudflare worker (native HTTP, no curl).
+    // Our version and platform only feed the aggregate counts at /stats.
+    var channel_buf: [16]u8 = undefined;
+    var url_buf: [160]u8 = undefined;
+    const version_url = std.fmt.bufPrint(&url_buf, "https://nanobrew.trilok.ai/version?channel={s}&current={s}&platform={s}", .{
+        readChannel(&channel_buf),
+        VERSION,
+        @tagName(builtin.cpu.arch) ++ "-" ++ @tagName(builtin.os.tag),
+    }) catch return;
+    const body = nb.fetch.get(alloc, version_url) catch return;
     defer alloc.free(body);
 
 
@@ -2160,6 +2186,16 @@ fn checkForUpdate(alloc: std.mem.Allocator) void {
     }) catch {};
 }
 
+/// Release channel recorded by the installer (stable, beta or nightly).
+fn readChannel(buf: []u8) []const u8 {
+    const f = std.fs.openFileAbsolute(ROOT ++ "/cache/channel", .{}) catch return "stable";
+    defer f.close();
+    const n = f.readAll(buf) catch return "stable";
+    const channel = std.mem.trim(u8, buf[0..n], "\n \t");
+    if (std.mem.eql(u8, channel, "beta") or std.mem.eql(u8, channel, "nightly")) return channel;
+    return "stable";
+}
+
 fn padSpaces(used: usize) []const u8 {
     const target = 19;
     if (used >= target) return "";
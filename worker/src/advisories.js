@@ -0,0 +1,95 @@
+import { versionFromTag } from "./release.js";
+import { jsonResponse } from "./http.js";
+
+// Advisories for broken or unsafe nb releases, configured through the
+// ADVISORIES var (a JSON list, see wrangler.toml). Yanked versions are never
+// resolved as the latest release, and /advisories lets nb warn users who run
+// one, or who are below MIN_SUPPORTED_VERSION.
+
+const SEVERITIES = ["low", "medium", "high", "critical"];
+
+const VERSION_RE = /^v?\d+(\.\d+)*(-[0-9A-Za-z.-]+)?$/;
+
+// Parsed once per isolate; the config only changes with a deploy.
+let parsed = null;
+
+// Returns the valid entries of env.ADVISORIES as
+// { id, versions, severity, yanked, message, url }. Broken entries are
+// dropped rather than failing every install.
+export function loadAdvisories(env) {
+  const raw = env.ADVISORIES;
+  if (parsed && parsed.raw === raw) return parsed.advisories;
+
+  let list = [];
+  try {
+    list = typeof raw === "string" ? JSON.parse(raw || "[]") : raw || [];
+  } catch {
+    list = [];
+  }
+
+  const advisories = (Array.isArray(list) ? list : [])
+    .filter((a) => a && Array.isArray(a.versions) && a.versions.every((v) => VERSION_RE.test(v)) && a.message)
+    .map((a, i) => ({
+      id: a.id || "NB-" + (i + 1),
+      versions: a.versions.map((v) => versionFromTag(v)),
+      severity: SEVERITIES.includes(a.severity) ? a.severity : "high",
+      yanked: a.yanked !== false,
+      message: String(a.message),
+      url: a.url || null,
+    }));
+  parsed = { raw, advisories };
+  return advisories;
+}
+
+// Versions /install, /version and /download must not resolve to.
+export function yankedVersions(env) {
+  return loadAdvisories(env)
+    .filter((a) => a.yanked)
+    .flatMap((a) => a.versions);
+}
+
+// nb's patch numbers read as decimals (0.1.052 < 0.1.06 < 0.1.067), so a
+// part with a leading zero is compared as a fraction.
+function comparePart(a = "0", b = "0") {
+  if (/^0\d/.test(a) || /^0\d/.test(b)) return Number("0." + a) - Number("0." + b);
+  return Number(a) - Number(b);
+}
+
+// Compares dotted versions numerically; a pre-release sorts before its release.
+export function compareVersions(a, b) {
+  const [coreA, preA] = versionFromTag(a).split(/-(.*)/);
+  const [coreB, preB] = versionFromTag(b).split(/-(.*)/);
+  const partsA = coreA.split(".");
+  const partsB = coreB.split(".");
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = comparePart(partsA[i], partsB[i]);
+    if (diff !== 0) return diff < 0 ? -1 : 1;
+  }
+  if (preA && !preB) return -1;
+  if (!preA && preB) return 1;
+  return (preA || "").localeCompare(preB || "");
+}
+
+// /advisories lists everything; /advisories?version=0.1.067 narrows it to one
+// version and says whether it is yanked or unsupported.
+export function advisoriesRoute(url, env) {
+  const advisories = loadAdvisories(env);
+  const minSupported = env.MIN_SUPPORTED_VERSION || null;
+  const requested = url.searchParams.get("version");
+  if (!requested) {
+    return jsonResponse({ min_supported: minSupported, advisories }, 200, "public, max-age=300");
+  }
+  if (!VERSION_RE.test(requested)) {
+    return jsonResponse({ error: "invalid version: " + requested }, 400, "public, max-age=60");
+  }
+
+  const version = versionFromTag(requested);
+  const affecting = advisories.filter((a) => a.versions.includes(version));
+  return jsonResponse({
+    version,
+    yanked: affecting.some((a) => a.yanked),
+    supported: !minSupported || compareVersions(version, minSupported) >= 0,
+    min_supported: minSupported,
+    advisories: affecting,
+  }, 200, "public, max-age=300");
+}
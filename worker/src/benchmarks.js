@@ -0,0 +1,106 @@
+import { jsonResponse } from "./http.js";
+import { escapeHtml } from "./html.js";
+import benchmarks from "./data/benchmarks.json" with { type: "json" };
+
+// Benchmark results as data: served at /benchmarks.json and rendered into the
+// landing page's Speed section. .github/workflows/benchmark.yml rewrites
+// data/benchmarks.json after each run, so new numbers ship with the next
+// deploy without touching any HTML.
+
+const MODES = ["cold", "warm"];
+
+// Bars narrower than this can't show their label
+const MIN_BAR_PERCENT = 1.5;
+
+export function benchmarksRoute() {
+  return jsonResponse(benchmarks, 200, "public, max-age=3600");
+}
+
+// 0.01 → 10ms, 5.527 → 5.53s
+function formatSeconds(seconds) {
+  if (seconds < 1) return Math.round(seconds * 1000) + "ms";
+  return seconds.toFixed(2) + "s";
+}
+
+// 7.6x, 34x, 7,000x
+function formatSpeedup(ratio) {
+  if (ratio >= 100) return Math.round(ratio).toLocaleString("en-US") + "x";
+  if (ratio >= 10) return Math.round(ratio) + "x";
+  return ratio.toFixed(1) + "x";
+}
+
+function renderGroup(suite, pkg, mode) {
+  const results = pkg.seconds[mode] || {};
+  const tools = suite.tools.filter((tool) => typeof results[tool.id] === "number");
+  const slowest = Math.max(...tools.map((tool) => results[tool.id]));
+
+  const rows = tools.map((tool) => {
+    const seconds = results[tool.id];
+    const width = Math.max(MIN_BAR_PERCENT, (seconds / slowest) * 100).toFixed(1) + "%";
+    return `      <div class="br">
+        <span class="br-l">${escapeHtml(tool.label)}</span>
+        <div class="br-t"><div class="br-b ${tool.id === "nanobrew" ? "nb" : "brew"}" data-w="${width}">${formatSeconds(seconds)}</div></div>
+      </div>`;
+  });
+
+  // Speedup against the slowest other tool measured
+  const others = tools.filter((tool) => tool.id !== "nanobrew");
+  let note = "";
+  if (typeof results.nanobrew === "number" && others.length > 0) {
+    const baseline = others.reduce((a, b) => (results[a.id] >= results[b.id] ? a : b));
+    const ratio = results[baseline.id] / results.nanobrew;
+    if (ratio > 1) note = `\n      <div class="bg-note">${formatSpeedup(ratio)} faster than ${escapeHtml(baseline.name)}</div>`;
+  }
+
+  return `    <div class="bg" data-mode="${mode}">
+      <div class="bg-title">${escapeHtml(pkg.name)} <span>/ ${escapeHtml(String(pkg.deps))} deps, ${mode}</span></div>
+${rows.join("\n")}${note}
+    </div>`;
+}
+
+// The landing page's headline numbers, from the macOS suite: nb's fastest
+// warm install and its largest cold-install speedup over Homebrew. Either is
+// null when the data has no such measurement.
+export function benchmarkHighlights(data = benchmarks) {
+  const suite = data.suites.find((s) => s.id === "macos");
+  let warm = null;
+  let speedup = null;
+  for (const pkg of suite ? suite.packages : []) {
+    const warmSeconds = (pkg.seconds.warm || {}).nanobrew;
+    if (typeof warmSeconds === "number" && (!warm || warmSeconds < warm.seconds)) {
+      warm = { seconds: warmSeconds, package: pkg.name };
+    }
+    const cold = pkg.seconds.cold || {};
+    if (typeof cold.brew === "number" && typeof cold.nanobrew === "number") {
+      const ratio = cold.brew / cold.nanobrew;
+      if (!speedup || ratio > speedup.ratio) speedup = { ratio, package: pkg.name };
+    }
+  }
+  return {
+    warm: warm && { time: formatSeconds(warm.seconds), package: warm.package },
+    speedup: speedup && { factor: formatSpeedup(speedup.ratio), package: speedup.package },
+  };
+}
+
+// The Speed section's contents: a cold/warm toggle, then each suite's
+// hardware note and one bar group per package and mode it was measured in.
+export function renderBenchmarks(data = benchmarks) {
+  const suites = data.suites.map((suite) => {
+    const modes = MODES.filter((mode) => suite.packages.some((pkg) => pkg.seconds[mode]));
+    const groups = modes.flatMap((mode) =>
+      suite.packages.filter((pkg) => pkg.seconds[mode]).map((pkg) => renderGroup(suite, pkg, mode)));
+    return `    <div class="bs" data-modes="${modes.join(" ")}">
+    <p class="bench-sub">${escapeHtml(suite.name)} &middot; ${escapeHtml(suite.hardware)} &middot; measured ${escapeHtml(suite.measured_at)}</p>
+
+${groups.join("\n\n")}
+    </div>`;
+  });
+
+  return `    <div class="bench-toggle" role="group" aria-label="Install type">
+      <button data-mode="cold" aria-pressed="true" onclick="benchMode('cold')">cold</button>
+      <button data-mode="warm" aria-pressed="false" onclick="benchMode('warm')">warm</button>
+    </div>
+    <p class="bench-sub">${MODES.map((mode) => escapeHtml(data.modes[mode])).join(" ")} Raw numbers: <a href="/benchmarks.json">/benchmarks.json</a>.</p>
+
+${suites.join("\n\n")}`;
+}
@@ -0,0 +1,111 @@
+import { ORIGIN } from "./release.js";
+import { jsonResponse } from "./http.js";
+
+// GHCR bottle proxy: does the anonymous token exchange at the edge and streams
+// blobs from our domain, for networks that allow it but block ghcr.io. Bytes
+// are passed through as received, not checked against the digest: clients
+// verify it themselves, as nb does for every bottle.
+
+const REGISTRY = "https://ghcr.io";
+
+// Only Homebrew's own packages; this is not a general-purpose GHCR proxy.
+const REPO_RE = /^homebrew\/[a-z0-9._-]+(\/[a-z0-9._@+-]+)+$/;
+
+// GHCR tokens are valid for 5 minutes; nb caches them for 4 as well.
+const TOKEN_TTL = 240;
+const BLOB_TTL = 31536000; // content-addressed, never changes
+
+// Cache API objects are capped at 512 MB; bigger bottles are streamed only.
+const MAX_CACHED_BLOB = 512 * 1024 * 1024;
+
+const BLOB_PATH_RE = /^\/bottles\/(.+)\/blobs\/sha256:([0-9a-f]{64})$/;
+
+async function fetchToken(repo) {
+  const cache = caches.default;
+  const cacheKey = new Request(ORIGIN + "/_cached/ghcr-token/" + repo);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached.text();
+
+  const res = await fetch(REGISTRY + "/token?scope=repository:" + repo + ":pull", {
+    headers: { "User-Agent": "nanobrew-worker" },
+  });
+  if (!res.ok) return null;
+  const { token } = await res.json();
+  if (!token) return null;
+
+  await cache.put(cacheKey, new Response(token, {
+    headers: { "cache-control": "public, max-age=" + TOKEN_TTL },
+  }));
+  return token;
+}
+
+// Asks GHCR for the blob and follows its redirect to blob storage ourselves,
+// so the bearer token is never sent to the storage host. Range goes to both,
+// since GHCR may serve the blob itself.
+async function fetchBlob(repo, digest, method, range) {
+  const token = await fetchToken(repo);
+  if (!token) return null;
+
+  const headers = { "User-Agent": "nanobrew-worker" };
+  if (range) headers.Range = range;
+  const res = await fetch(REGISTRY + "/v2/" + repo + "/blobs/sha256:" + digest, {
+    method,
+    headers: { ...headers, Authorization: "Bearer " + token },
+    redirect: "manual",
+  });
+  const location = res.headers.get("location");
+  if (res.status < 300 || res.status >= 400 || !location) return res;
+
+  return fetch(new URL(location, REGISTRY).toString(), { method, headers });
+}
+
+// /bottles/homebrew/core/jq/blobs/sha256:<digest>
+export async function bottleRoute(request, url, ctx) {
+  const m = url.pathname.match(BLOB_PATH_RE);
+  let repo = null;
+  try {
+    if (m) repo = decodeURIComponent(m[1]);
+  } catch {}
+  if (!repo || !REPO_RE.test(repo)) {
+    return jsonResponse({ error: "expected /bottles/homebrew/<repo>/blobs/sha256:<digest>" }, 400, "public, max-age=3600");
+  }
+  const digest = m[2];
+  const range = request.headers.get("range");
+
+  // A cached blob answers Range requests itself
+  const cache = caches.default;
+  const cacheKey = new Request(ORIGIN + "/_cached/bottles/sha256:" + digest);
+  const cached = await cache.match(range ? new Request(cacheKey.url, { headers: { range } }) : cacheKey);
+  if (cached) return request.method === "HEAD" ? new Response(null, cached) : cached;
+
+  let upstream;
+  try {
+    upstream = await fetchBlob(repo, digest, request.method === "HEAD" ? "HEAD" : "GET", range);
+  } catch {
+    upstream = null;
+  }
+  if (!upstream) return jsonResponse({ error: "could not reach ghcr.io, try again shortly" }, 502, "no-store");
+  if (upstream.status === 404) return jsonResponse({ error: "blob not found" }, 404, "public, max-age=60");
+  if (!upstream.ok) return jsonResponse({ error: "ghcr.io returned " + upstream.status }, 502, "no-store");
+
+  const headers = {
+    "content-type": "application/octet-stream",
+    "cache-control": "public, max-age=" + BLOB_TTL + ", immutable",
+    "accept-ranges": "bytes",
+    "docker-content-digest": "sha256:" + digest,
+    "etag": '"sha256:' + digest + '"',
+    "access-control-allow-origin": "*",
+  };
+  for (const name of ["content-length", "content-range"]) {
+    const value = upstream.headers.get(name);
+    if (value) headers[name] = value;
+  }
+  const resp = new Response(request.method === "HEAD" ? null : upstream.body, { status: upstream.status, headers });
+
+  // Only whole blobs go in the cache; partial responses are passed through
+  const length = Number(upstream.headers.get("content-length")) || 0;
+  if (request.method !== "HEAD" && upstream.status === 200 && length > 0 && length <= MAX_CACHED_BLOB) {
+    ctx.waitUntil(cache.put(cacheKey, resp.clone()));
+  }
+  return resp;
+}
@@ -0,0 +1,81 @@
+import { jsonResponse } from "./http.js";
+import { fetchCached } from "./cache.js";
+
+// Edge-cached mirror of the formulae.brew.sh JSON API, so nb can resolve from
+// one origin that keeps answering when Homebrew's API is slow or down.
+
+const UPSTREAM = "https://formulae.brew.sh";
+
+// How long a copy is served without asking upstream. nb's own API cache is
+// 5 minutes; the full lists are large and change slowly.
+const ITEM_FRESH_TTL = 300;
+const LIST_FRESH_TTL = 3600;
+
+// How long a copy is kept around to serve when upstream fails.
+const STALE_TTL = 7 * 86400;
+
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9@._+-]*$/;
+
+// Maps a worker path to its upstream path and freshness, or returns null.
+function brewPath(pathname) {
+  if (pathname === "/api/formula.json" || pathname === "/api/cask.json") {
+    return { path: pathname, freshTtl: LIST_FRESH_TTL };
+  }
+  const m = pathname.match(/^\/api\/(formula|cask)\/([^/]+)\.json$/);
+  if (!m) return null;
+  let name;
+  try {
+    name = decodeURIComponent(m[2]);
+  } catch {
+    return null;
+  }
+  if (!NAME_RE.test(name)) return null;
+  return { path: "/api/" + m[1] + "/" + name + ".json", freshTtl: ITEM_FRESH_TTL };
+}
+
+// The full formula or cask list, for routes that build on Homebrew's data.
+export function fetchBrewList(kind, ctx) {
+  return fetchBrewJSON("/api/" + kind + ".json", LIST_FRESH_TTL, ctx);
+}
+
+export function isBrewApiPath(pathname) {
+  return pathname === "/api/formula.json" || pathname === "/api/cask.json" || /^\/api\/(formula|cask)\//.test(pathname);
+}
+
+// /api/formula/:name.json, /api/cask/:token.json, /api/formula.json, /api/cask.json
+export async function brewApiRoute(request, url, ctx) {
+  const target = brewPath(url.pathname);
+  if (!target) return jsonResponse({ error: "invalid formula or cask name" }, 400, "public, max-age=3600");
+
+  const result = await fetchBrewJSON(target.path, target.freshTtl, ctx);
+  if (result.status === 404) return jsonResponse({ error: "not found" }, 404, "public, max-age=60");
+  if (!result.response) return jsonResponse({ error: "upstream unavailable, try again shortly" }, 502, "no-store");
+
+  const etag = result.response.headers.get("etag");
+  const headers = {
+    "content-type": "application/json; charset=utf-8",
+    "cache-control": "public, max-age=" + (result.cache === "STALE" ? 60 : target.freshTtl),
+    "access-control-allow-origin": "*",
+    "x-nanobrew-cache": result.cache,
+  };
+  if (etag) headers.etag = etag;
+  if (result.cache === "STALE") headers["x-nanobrew-stale"] = "1";
+
+  if (etag && request.headers.get("if-none-match") === etag) {
+    // A fresh copy's body is tee'd into the edge cache; left unread, the
+    // multi-MB lists are held open until the request ends
+    result.response.body?.cancel();
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(result.response.body, { headers });
+}
+
+// Returns { response, cache } or { status } as fetchCached does. Other worker
+// routes reuse this for their data.
+export function fetchBrewJSON(path, freshTtl, ctx) {
+  return fetchCached("brew" + path, [{ url: UPSTREAM + path }], {
+    freshTtl,
+    staleTtl: STALE_TTL,
+    contentType: "application/json; charset=utf-8",
+  }, ctx);
+}
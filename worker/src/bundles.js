@@ -0,0 +1,136 @@
+import { ORIGIN } from "./release.js";
+import { jsonResponse, textResponse, scriptResponse } from "./http.js";
+import { parseInstallOptions, renderBundleInstallScript, errorScript } from "./install.js";
+
+// Shared Nanobrew files: POST one to /bundle, get a short ID back, and hand
+// out `curl -fsSL .../bundle/<id>/install | bash` instead of copying the file
+// around. Bundles live in the BUNDLES KV namespace; without the binding the
+// routes answer 503. Uploads are anonymous, so they also need the
+// BUNDLE_RATE_LIMIT binding (a per-IP limit) and every bundle expires.
+
+const MAX_BUNDLE_BYTES = 64 * 1024;
+const MAX_ENTRIES = 1000;
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+
+// No 0/o/1/l/i, so IDs survive being read out loud or retyped from a screenshot
+const ID_ALPHABET = "23456789abcdefghjkmnpqrstuvwxyz";
+const ID_LENGTH = 8;
+const ID_RE = /^[2-9a-hjkmnp-z]{8}$/;
+
+// The lines `nb bundle dump` writes and `nb bundle install` reads, plus `tap`
+// for Brewfile compatibility. Brewfile options after a comma are kept; nb
+// ignores them.
+const ENTRY_RE = /^(brew|cask|tap)\s+"([A-Za-z0-9][A-Za-z0-9@._+\/-]*)"\s*(,.*)?$/;
+
+function newId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(ID_LENGTH));
+  return [...bytes].map((b) => ID_ALPHABET[b % ID_ALPHABET.length]).join("");
+}
+
+// Returns { formulas, casks } or { error } naming the first bad line.
+export function validateBundle(text) {
+  let formulas = 0;
+  let casks = 0;
+  const lines = text.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === "" || line.startsWith("#")) continue;
+    if (/[^\x20-\x7e\t]/.test(line)) return { error: "line " + (i + 1) + ": unexpected characters" };
+    const m = line.match(ENTRY_RE);
+    if (!m) return { error: "line " + (i + 1) + ": expected brew \"name\", cask \"token\" or tap \"user/repo\"" };
+    if (m[1] === "brew") formulas++;
+    if (m[1] === "cask") casks++;
+  }
+  if (formulas + casks === 0) return { error: "bundle has no brew or cask lines" };
+  if (formulas + casks > MAX_ENTRIES) return { error: "bundle has more than " + MAX_ENTRIES + " entries" };
+  return { formulas, casks };
+}
+
+function notConfigured() {
+  return jsonResponse({ error: "bundle sharing is not configured on this server" }, 503, "no-store");
+}
+
+// POST /bundle (body: a Nanobrew file, ?expires=<days> from 1 to 365, default 30)
+// GET  /bundle/:id
+// GET  /bundle/:id/install
+export async function bundleRoute(request, url, env) {
+  if (url.pathname === "/bundle") {
+    if (!env.BUNDLES || !env.BUNDLE_RATE_LIMIT) return notConfigured();
+    return createBundle(request, url, env);
+  }
+
+  const m = url.pathname.match(/^\/bundle\/([^/]+)(\/install)?$/);
+  if (!m || !ID_RE.test(m[1])) return jsonResponse({ error: "no such bundle" }, 404, "public, max-age=60");
+  if (!env.BUNDLES) return notConfigured();
+
+  const { value, metadata } = await env.BUNDLES.getWithMetadata("bundle:" + m[1]);
+  if (value === null) {
+    if (m[2]) return scriptResponse(errorScript("bundle " + m[1] + " not found", "it may have expired"), "public, max-age=60", 404);
+    return jsonResponse({ error: "bundle " + m[1] + " not found" }, 404, "public, max-age=60");
+  }
+
+  // Bundles never change once stored; expiry only bounds the cache
+  const maxAge = metadata && metadata.expires_at
+    ? Math.max(0, Math.min(3600, Math.floor((Date.parse(metadata.expires_at) - Date.now()) / 1000)))
+    : 3600;
+
+  if (!m[2]) return textResponse(value, 200, "public, max-age=" + maxAge);
+
+  const { error, hint } = parseInstallOptions(url.searchParams);
+  if (error) return scriptResponse(errorScript(error, hint), "public, max-age=60");
+  // Re-serialised so the query can't break out of the quotes it's embedded in
+  const query = new URLSearchParams(url.searchParams).toString();
+  const { formulas, casks } = validateBundle(value);
+  return scriptResponse(renderBundleInstallScript({
+    id: m[1],
+    bundleUrl: ORIGIN + "/bundle/" + m[1],
+    installUrl: ORIGIN + "/install" + (query ? "?" + query : ""),
+    formulas,
+    casks,
+  }), "public, max-age=" + maxAge);
+}
+
+async function createBundle(request, url, env) {
+  const expires = url.searchParams.get("expires");
+  const days = expires === null ? DEFAULT_EXPIRY_DAYS : Number(expires);
+  if (!(Number.isInteger(days) && days >= 1 && days <= MAX_EXPIRY_DAYS)) {
+    return jsonResponse({ error: "expires must be a number of days from 1 to " + MAX_EXPIRY_DAYS }, 400, "no-store");
+  }
+  const { success } = await env.BUNDLE_RATE_LIMIT.limit({ key: request.headers.get("cf-connecting-ip") || "unknown" });
+  if (!success) {
+    const resp = jsonResponse({ error: "too many bundles from this address, try again in a minute" }, 429, "no-store");
+    resp.headers.set("retry-after", "60");
+    return resp;
+  }
+  if (Number(request.headers.get("content-length")) > MAX_BUNDLE_BYTES) {
+    return jsonResponse({ error: "bundle over " + MAX_BUNDLE_BYTES + " bytes" }, 413, "no-store");
+  }
+
+  const text = await request.text();
+  if (text.length > MAX_BUNDLE_BYTES) return jsonResponse({ error: "bundle over " + MAX_BUNDLE_BYTES + " bytes" }, 413, "no-store");
+  const { formulas, casks, error } = validateBundle(text);
+  if (error) return jsonResponse({ error }, 400, "no-store");
+
+  // 31^8 IDs make a collision unlikely; check anyway rather than overwrite
+  let id = newId();
+  while ((await env.BUNDLES.get("bundle:" + id)) !== null) id = newId();
+
+  const createdAt = new Date();
+  const metadata = {
+    created_at: createdAt.toISOString(),
+    expires_at: new Date(createdAt.getTime() + days * 86400 * 1000).toISOString(),
+    formulas,
+    casks,
+  };
+  await env.BUNDLES.put("bundle:" + id, text, { metadata, expirationTtl: days * 86400 });
+
+  const resp = jsonResponse({
+    id,
+    url: ORIGIN + "/bundle/" + id,
+    install: "curl -fsSL " + ORIGIN + "/bundle/" + id + "/install | bash",
+    ...metadata,
+  }, 201, "no-store");
+  resp.headers.set("location", ORIGIN + "/bundle/" + id);
+  return resp;
+}
@@ -0,0 +1,70 @@
+import { ORIGIN } from "./release.js";
+
+// The edge cache behind the mirror routes. Each copy is stored under
+// ORIGIN/_cached/<key> with x-fetched-at (when upstream last confirmed it)
+// and kept for staleTtl; it is served as is for freshTtl, then revalidated
+// with If-None-Match, and served stale when upstream fails.
+
+// Returns { response, cache } with cache one of HIT, REVALIDATED, MISS or
+// STALE, or { status: 404 } when upstream has no such file and { status: 502 }
+// when it fails with nothing stored.
+//
+// upstreams is a list of { url, headers } tried in order while they answer
+// 404 (tap formulae have two possible paths); headers are stored with the
+// copy. contentType overrides the upstream's Content-Type.
+export async function fetchCached(key, upstreams, { freshTtl, staleTtl, contentType }, ctx) {
+  const cache = caches.default;
+  const cacheKey = new Request(ORIGIN + "/_cached/" + key);
+  const cached = await cache.match(cacheKey);
+  const fetchedAt = cached ? Number(cached.headers.get("x-fetched-at")) || 0 : 0;
+  if (cached && Date.now() - fetchedAt < freshTtl * 1000) return { response: cached, cache: "HIT" };
+
+  const etag = cached && cached.headers.get("etag");
+  let failed = false;
+  for (const upstream of upstreams) {
+    let resp;
+    try {
+      const headers = { "User-Agent": "nanobrew-worker" };
+      if (etag) headers["If-None-Match"] = etag;
+      resp = await fetch(upstream.url, { headers });
+    } catch {
+      resp = null;
+    }
+
+    if (resp && resp.status === 304 && cached) {
+      return { response: store(cacheKey, cached, cached.headers, staleTtl, ctx), cache: "REVALIDATED" };
+    }
+    if (resp && resp.ok) {
+      const headers = { ...upstream.headers };
+      if (contentType) headers["content-type"] = contentType;
+      return { response: store(cacheKey, resp, headers, staleTtl, ctx), cache: "MISS" };
+    }
+    if (!resp || resp.status !== 404) failed = true;
+  }
+
+  if (!failed) return { status: 404 };
+  // Upstream is erroring or unreachable — keep serving the last copy
+  if (cached) return { response: cached, cache: "STALE" };
+  return { status: 502 };
+}
+
+// A fresh copy of source's body with a new x-fetched-at. extra supplies the
+// stored headers (the upstream's own for a revalidated copy).
+function store(cacheKey, source, extra, staleTtl, ctx) {
+  const headers = new Headers(extra);
+  if (!headers.has("content-type")) headers.set("content-type", source.headers.get("content-type") || "application/octet-stream");
+  const etag = source.headers.get("etag");
+  if (etag) headers.set("etag", etag);
+  headers.set("cache-control", "public, max-age=" + staleTtl);
+  headers.set("x-fetched-at", String(Date.now()));
+
+  const resp = new Response(source.body, { headers });
+  ctx.waitUntil(caches.default.put(cacheKey, resp.clone()));
+  return resp;
+}
+
+// Hex SHA-256 of a string, for cache versions derived from upstream ETags.
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
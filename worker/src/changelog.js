@@ -0,0 +1,244 @@
+import { ORIGIN, REPO, normalizeTag, versionFromTag } from "./release.js";
+import { textResponse, htmlResponse } from "./http.js";
+import { escapeHtml, renderPage } from "./html.js";
+import { compareVersions } from "./advisories.js";
+import { fetchCached } from "./cache.js";
+
+// CHANGELOG.md from the repo, served three ways: /changelog (HTML),
+// /changelog.xml (Atom) and /changelog?since=<version> (plain text of every
+// release newer than that, which `nb update` prints after upgrading).
+
+const CHANGELOG_URL = "https://raw.githubusercontent.com/" + REPO + "/HEAD/CHANGELOG.md";
+
+// Refetched after 5 minutes, served stale for a week if GitHub fails.
+const FRESH_TTL = 300;
+const STALE_TTL = 7 * 86400;
+
+// "## [0.1.067] - 2026-02-16" or "## [Unreleased]"
+const RELEASE_RE = /^## \[([^\]]+)\](?:\s*-\s*(\d{4}-\d{2}-\d{2}))?/;
+
+const PAGE_CSS = `
+  /* ── Changelog ── */
+  .log-head {
+    padding: 5rem 0 2.5rem;
+  }
+  .log-head h1 {
+    font-family: var(--fd);
+    font-weight: 800;
+    font-size: clamp(2.4rem, 7vw, 4rem);
+    color: var(--bright);
+    letter-spacing: -0.03em;
+    line-height: 1;
+    margin-bottom: 1rem;
+    animation: fadeUp 0.7s ease-out both;
+  }
+  .log-head p {
+    font-size: 0.85rem;
+    color: var(--muted);
+    animation: fadeUp 0.7s ease-out 0.08s both;
+  }
+  .log-head a, .release a { color: var(--gold); text-decoration: none; }
+  .log-head a:hover, .release a:hover { text-decoration: underline; }
+  .release {
+    padding: 2.5rem 0;
+    border-top: 1px solid var(--border);
+  }
+  .release h2 {
+    font-family: var(--fd);
+    font-weight: 700;
+    font-size: 1.4rem;
+    color: var(--bright);
+    margin-bottom: 1.25rem;
+  }
+  .release h2 span { font-family: var(--fm); font-weight: 400; font-size: 0.8rem; color: var(--dim); margin-left: 0.6rem; }
+  .release h3 {
+    font-size: 0.75rem;
+    color: var(--gold);
+    text-transform: uppercase;
+    letter-spacing: 0.08em;
+    margin: 1.25rem 0 0.6rem;
+  }
+  .release ul { padding-left: 1.1rem; }
+  .release li {
+    font-size: 0.82rem;
+    color: var(--text);
+    margin-bottom: 0.55rem;
+  }
+  .release li strong { color: var(--bright); font-weight: 600; }
+`;
+
+// /changelog, /changelog?since=0.1.06, /changelog.xml
+export async function changelogRoute(url, ctx) {
+  const since = url.searchParams.get("since");
+  const sinceTag = since === null ? null : normalizeTag(since);
+  if (since !== null && !sinceTag) return textResponse("invalid version: " + since + "\n", 400, "public, max-age=3600");
+
+  const result = await fetchChangelog(ctx);
+  if (!result.markdown) {
+    if (url.pathname === "/changelog" && since === null) {
+      return htmlResponse(renderPage({
+        title: "Changelog — nanobrew",
+        description: "The changelog could not be fetched.",
+        body: `  <section class="log-head">
+    <h1>Changelog</h1>
+    <p>The changelog could not be fetched from GitHub. Try again shortly.</p>
+  </section>`,
+        css: PAGE_CSS,
+      }), 502, "no-store");
+    }
+    return textResponse("could not reach GitHub, try again shortly\n", 502, "no-store");
+  }
+
+  const releases = parseChangelog(result.markdown);
+  let resp;
+  if (url.pathname === "/changelog.xml") {
+    resp = new Response(renderAtom(releases), {
+      headers: {
+        "content-type": "application/atom+xml; charset=utf-8",
+        "cache-control": "public, max-age=" + FRESH_TTL,
+        "access-control-allow-origin": "*",
+      },
+    });
+  } else if (sinceTag) {
+    const newer = releases.filter((r) => !r.unreleased && compareVersions(r.version, versionFromTag(sinceTag)) > 0);
+    resp = textResponse(newer.map(renderText).join("\n"), 200, "public, max-age=" + FRESH_TTL);
+  } else {
+    resp = htmlResponse(renderHtml(releases), 200, "public, max-age=" + FRESH_TTL);
+  }
+
+  resp.headers.set("x-nanobrew-cache", result.cache);
+  if (result.cache === "STALE") {
+    resp.headers.set("x-nanobrew-stale", "1");
+    resp.headers.set("cache-control", "public, max-age=60");
+  }
+  return resp;
+}
+
+// Returns { markdown, cache }, or {} when GitHub fails with nothing stored.
+async function fetchChangelog(ctx) {
+  const result = await fetchCached("changelog", [{ url: CHANGELOG_URL }], {
+    freshTtl: FRESH_TTL,
+    staleTtl: STALE_TTL,
+    contentType: "text/markdown; charset=utf-8",
+  }, ctx);
+  if (!result.response) return {};
+  return { markdown: await result.response.text(), cache: result.cache };
+}
+
+// Splits the changelog into [{ version, date, unreleased, sections: [{ title,
+// items }] }], newest first as in the file. Items are the bullet texts, with
+// wrapped lines joined.
+function parseChangelog(markdown) {
+  const releases = [];
+  let release = null;
+  let section = null;
+
+  for (const line of markdown.split("\n")) {
+    const heading = line.match(RELEASE_RE);
+    if (heading) {
+      const unreleased = heading[1].toLowerCase() === "unreleased";
+      release = { version: unreleased ? "Unreleased" : versionFromTag(heading[1]), date: heading[2] || null, unreleased, sections: [] };
+      releases.push(release);
+      section = null;
+      continue;
+    }
+    if (!release) continue;
+    if (line.startsWith("### ")) {
+      section = { title: line.slice(4).trim(), items: [] };
+      release.sections.push(section);
+      continue;
+    }
+    if (!section || line.trim() === "") continue;
+    if (line.startsWith("- ") || line.startsWith("* ")) {
+      section.items.push(line.slice(2).trim());
+    } else if (section.items.length > 0) {
+      section.items[section.items.length - 1] += " " + line.trim();
+    } else {
+      section.items.push(line.trim());
+    }
+  }
+  return releases;
+}
+
+// **bold**, `code` and [links](…); relative links point into the repo.
+function inlineHtml(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, "<code>$1</code>")
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => {
+      const target = /^https?:\/\//.test(href) ? href : "https://github.com/" + REPO + "/blob/HEAD/" + href.replace(/^\.?\//, "");
+      return `<a href="${target}">${label}</a>`;
+    });
+}
+
+function inlineText(text) {
+  return text
+    .replace(/\*\*(.+?)\*\*/g, "$1")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, "$1");
+}
+
+function anchor(release) {
+  return release.unreleased ? "unreleased" : "v" + release.version;
+}
+
+function renderSections(release) {
+  return release.sections
+    .filter((s) => s.items.length > 0)
+    .map((s) => `<h3>${escapeHtml(s.title)}</h3>\n<ul>\n${s.items.map((item) => `<li>${inlineHtml(item)}</li>`).join("\n")}\n</ul>`)
+    .join("\n");
+}
+
+function renderHtml(releases) {
+  const body = `  <section class="log-head">
+    <h1>Changelog</h1>
+    <p>Every nanobrew release, newest first. Follow it with the <a href="/changelog.xml">Atom feed</a>, or <code>curl "${ORIGIN}/changelog?since=0.1.06"</code> for what's new since a version.</p>
+  </section>
+
+${releases.map((release) => `  <section class="release" id="${escapeHtml(anchor(release))}">
+    <h2>${escapeHtml(release.version)}${release.date ? ` <span>${release.date}</span>` : ""}</h2>
+${renderSections(release)}
+  </section>`).join("\n\n")}`;
+
+  return renderPage({
+    title: "Changelog — nanobrew",
+    description: "What changed in each nanobrew release.",
+    body,
+    css: PAGE_CSS,
+  });
+}
+
+function renderText(release) {
+  const lines = ["nanobrew " + release.version + (release.date ? " (" + release.date + ")" : ""), ""];
+  for (const section of release.sections) {
+    if (section.items.length === 0) continue;
+    lines.push(section.title);
+    for (const item of section.items) lines.push("  - " + inlineText(item));
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+function renderAtom(releases) {
+  const dated = releases.filter((r) => !r.unreleased && r.date);
+  const updated = dated.length > 0 ? dated[0].date + "T00:00:00Z" : new Date(0).toISOString();
+  const entries = dated.map((release) => `  <entry>
+    <title>nanobrew ${escapeHtml(release.version)}</title>
+    <id>${ORIGIN}/changelog#${escapeHtml(anchor(release))}</id>
+    <link href="${ORIGIN}/changelog#${escapeHtml(anchor(release))}"/>
+    <updated>${release.date}T00:00:00Z</updated>
+    <content type="html">${escapeHtml(renderSections(release))}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>nanobrew changelog</title>
+  <id>${ORIGIN}/changelog</id>
+  <link rel="self" href="${ORIGIN}/changelog.xml"/>
+  <link href="${ORIGIN}/changelog"/>
+  <updated>${updated}</updated>
+  <author><name>nanobrew</name></author>
+${entries.join("\n")}
+</feed>
+`;
+}
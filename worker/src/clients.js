@@ -0,0 +1,34 @@
+// Works out what kind of client fetched an install route from its User-Agent,
+// so PowerShell and non-macOS/Linux machines get an answer that fits them
+// instead of a bash script they can't run (or the HTML landing page).
+
+const WINDOWS_HINTS = ["windows", "mingw", "msys", "cygwin"];
+
+// OS names wget and PowerShell put in their User-Agent; curl sends none.
+const UNSUPPORTED_OS = {
+  freebsd: "FreeBSD",
+  openbsd: "OpenBSD",
+  netbsd: "NetBSD",
+  dragonfly: "DragonFly BSD",
+  solaris: "Solaris",
+  sunos: "Solaris",
+  aix: "AIX",
+  android: "Android",
+  haiku: "Haiku",
+};
+
+// kind: "powershell", "shell" (curl/wget piped into bash) or "other".
+// os:   "windows", "unsupported" (with osName) or null when it can't be told.
+export function detectClient(userAgent) {
+  const ua = (userAgent || "").toLowerCase();
+
+  let kind = "other";
+  if (ua.includes("powershell")) kind = "powershell";
+  else if (ua.includes("curl") || ua.includes("wget")) kind = "shell";
+
+  if (WINDOWS_HINTS.some((hint) => ua.includes(hint))) return { kind, os: "windows" };
+  for (const [hint, osName] of Object.entries(UNSUPPORTED_OS)) {
+    if (ua.includes(hint)) return { kind, os: "unsupported", osName };
+  }
+  return { kind, os: null };
+}
@@ -0,0 +1,263 @@
+import { ORIGIN } from "./release.js";
+import { jsonResponse } from "./http.js";
+import { fetchCached, sha256Hex } from "./cache.js";
+
+// APT mirror for `nb install --deb`: the Packages indices and .deb pool over
+// HTTPS from the edge cache, plus a pre-parsed JSON index so containers don't
+// have to download and decompress the whole Packages file on every build.
+//
+// The mirror base for nb is https://nanobrew.trilok.ai/deb/<distro>; the
+// Filename fields in the index resolve against it unchanged.
+
+// Ubuntu only serves amd64 and i386 from the main archive; every other
+// architecture lives on ports. Both are plain HTTP upstream.
+const MIRRORS = {
+  ubuntu: {
+    base: "http://archive.ubuntu.com/ubuntu",
+    ports: "http://ports.ubuntu.com/ubuntu-ports",
+    mainArchs: ["amd64", "i386", "all"],
+  },
+  debian: { base: "https://deb.debian.org/debian" },
+};
+
+// Indices change whenever a suite gets updates; copies are revalidated with
+// If-None-Match after an hour and served stale for a week if upstream fails.
+const INDEX_FRESH_TTL = 3600;
+const INDEX_STALE_TTL = 7 * 86400;
+
+// Pool files carry their version in the name, so they never change.
+const POOL_TTL = 31536000;
+
+// Cache API objects are capped at 512 MB; bigger packages are streamed only.
+const MAX_CACHED_DEB = 512 * 1024 * 1024;
+
+const DISTS_RE = /^\/deb\/([a-z]+)\/dists\/([a-z]+(?:-[a-z]+)?)\/([a-z-]+)\/binary-([a-z0-9]+)\/(Packages(?:\.gz|\.xz)?|index\.json)$/;
+const POOL_RE = /^\/deb\/([a-z]+)\/(pool\/[A-Za-z0-9._+~%\/-]+\.u?deb)$/;
+
+// The fields nb's Packages parser (src/deb/index.zig) reads.
+const INDEX_FIELDS = {
+  Package: "name",
+  Version: "version",
+  Depends: "depends",
+  Filename: "filename",
+  SHA256: "sha256",
+  Size: "size",
+};
+
+function mirrorFor(distro, arch) {
+  const mirror = MIRRORS[distro];
+  if (!mirror.ports || mirror.mainArchs.includes(arch)) return mirror.base;
+  return mirror.ports;
+}
+
+// Pool filenames end in _<arch>.deb
+function poolArch(path) {
+  const m = path.match(/_([a-z0-9]+)\.u?deb$/);
+  return m ? m[1] : "all";
+}
+
+export function isDebPath(pathname) {
+  return pathname.startsWith("/deb/");
+}
+
+// /deb/:distro/dists/:suite/:component/binary-:arch/Packages(.gz|.xz)
+// /deb/:distro/dists/:suite/:component/binary-:arch/index.json
+// /deb/:distro/pool/…/<name>_<version>_<arch>.deb
+export async function debRoute(request, url, ctx) {
+  const dists = url.pathname.match(DISTS_RE);
+  if (dists && MIRRORS[dists[1]]) {
+    const [, distro, suite, component, arch, file] = dists;
+    const path = "dists/" + suite + "/" + component + "/binary-" + arch + "/";
+    const upstream = mirrorFor(distro, arch) + "/" + path;
+    if (file === "index.json") return debIndexRoute(request, distro, upstream + "Packages.gz", ctx);
+    return debPackagesRoute(request, distro, upstream + file, ctx);
+  }
+
+  const pool = url.pathname.match(POOL_RE);
+  if (pool && MIRRORS[pool[1]] && !pool[2].split("/").includes("..")) {
+    return debPoolRoute(pool[1], mirrorFor(pool[1], poolArch(pool[2])) + "/" + pool[2], ctx);
+  }
+
+  return jsonResponse({
+    error: "expected /deb/<ubuntu|debian>/dists/<suite>/<component>/binary-<arch>/(Packages.gz|Packages.xz|index.json) or /deb/<ubuntu|debian>/pool/…",
+  }, 400, "public, max-age=3600");
+}
+
+async function debPackagesRoute(request, distro, upstreamUrl, ctx) {
+  const result = await fetchIndexFile(distro, upstreamUrl, ctx);
+  if (result.status === 404) return jsonResponse({ error: "not found" }, 404, "public, max-age=300");
+  if (!result.response) return jsonResponse({ error: "upstream unavailable, try again shortly" }, 502, "no-store");
+
+  const headers = {
+    "content-type": result.response.headers.get("content-type") || "application/octet-stream",
+    "cache-control": "public, max-age=" + (result.cache === "STALE" ? 60 : INDEX_FRESH_TTL),
+    "access-control-allow-origin": "*",
+    "x-nanobrew-cache": result.cache,
+  };
+  const etag = result.response.headers.get("etag");
+  if (etag) headers.etag = etag;
+  if (result.cache === "STALE") headers["x-nanobrew-stale"] = "1";
+
+  if (etag && request.headers.get("if-none-match") === etag) {
+    // A fresh copy's body is tee'd into the edge cache; left unread, it is
+    // held open until the request ends
+    result.response.body?.cancel();
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(result.response.body, { headers });
+}
+
+// The Packages index as { name: { version, depends, filename, sha256, size } }.
+// When a package is listed more than once the last entry wins, as in nb.
+async function debIndexRoute(request, distro, upstreamUrl, ctx) {
+  const result = await fetchIndexFile(distro, upstreamUrl, ctx);
+  if (result.status === 404) return jsonResponse({ error: "not found" }, 404, "public, max-age=300");
+  if (!result.response) return jsonResponse({ error: "upstream unavailable, try again shortly" }, 502, "no-store");
+
+  const version = await indexVersion(upstreamUrl, result.response);
+  const headers = {
+    "content-type": "application/json; charset=utf-8",
+    "cache-control": "public, max-age=" + (result.cache === "STALE" ? 60 : INDEX_FRESH_TTL),
+    "access-control-allow-origin": "*",
+    "etag": '"' + version + '"',
+    "x-index-version": version,
+  };
+  if (result.cache === "STALE") headers["x-nanobrew-stale"] = "1";
+  if (request.headers.get("if-none-match") === headers.etag) {
+    result.response.body?.cancel();
+    return new Response(null, { status: 304, headers });
+  }
+
+  let body;
+  try {
+    body = await indexBody(result.response, version, ctx);
+  } catch {
+    return jsonResponse({ error: "could not parse the upstream Packages index" }, 502, "no-store");
+  }
+  return new Response(body, { headers });
+}
+
+// The parsed index for one suite/component/arch, for routes that build on the
+// mirror's data: { version, packages, cache }, or { status } when it can't be
+// had.
+export async function fetchDebIndex(distro, suite, component, arch, ctx) {
+  const upstreamUrl = mirrorFor(distro, arch) + "/dists/" + suite + "/" + component + "/binary-" + arch + "/Packages.gz";
+  const result = await fetchIndexFile(distro, upstreamUrl, ctx);
+  if (!result.response) return { status: result.status };
+
+  const version = await indexVersion(upstreamUrl, result.response);
+  try {
+    return { ...JSON.parse(await indexBody(result.response, version, ctx)), cache: result.cache };
+  } catch {
+    return { status: 502 };
+  }
+}
+
+// Versioned by the Packages.gz it was built from
+async function indexVersion(upstreamUrl, packagesGz) {
+  const source = packagesGz.headers.get("etag") || packagesGz.headers.get("x-fetched-at") || "";
+  return (await sha256Hex(upstreamUrl + "|" + source)).slice(0, 16);
+}
+
+// The JSON index text, from the cache or parsed from the Packages.gz, whose
+// body is read or cancelled either way. Throws when the upstream file doesn't
+// decompress.
+async function indexBody(packagesGz, version, ctx) {
+  const cache = caches.default;
+  const cacheKey = new Request(ORIGIN + "/_cached/deb-index/" + version);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    packagesGz.body?.cancel();
+    return cached.text();
+  }
+
+  const packages = await parsePackages(packagesGz.body.pipeThrough(new DecompressionStream("gzip")));
+  const body = JSON.stringify({ version, packages });
+  ctx.waitUntil(cache.put(cacheKey, new Response(body, {
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "public, max-age=" + INDEX_STALE_TTL,
+    },
+  })));
+  return body;
+}
+
+async function debPoolRoute(distro, upstreamUrl, ctx) {
+  const cache = caches.default;
+  const cacheKey = new Request(ORIGIN + "/_cached/deb/" + distro + "/" + upstreamUrl.replace(/^[a-z]+:\/\//, ""));
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  let upstream;
+  try {
+    upstream = await fetch(upstreamUrl, { headers: { "User-Agent": "nanobrew-worker" } });
+  } catch {
+    upstream = null;
+  }
+  if (!upstream) return jsonResponse({ error: "could not reach the " + distro + " mirror, try again shortly" }, 502, "no-store");
+  if (upstream.status === 404) return jsonResponse({ error: "not found" }, 404, "public, max-age=300");
+  if (!upstream.ok) return jsonResponse({ error: "the " + distro + " mirror returned " + upstream.status }, 502, "no-store");
+
+  const headers = {
+    "content-type": "application/vnd.debian.binary-package",
+    "cache-control": "public, max-age=" + POOL_TTL + ", immutable",
+    "access-control-allow-origin": "*",
+  };
+  const length = upstream.headers.get("content-length");
+  if (length) headers["content-length"] = length;
+  const resp = new Response(upstream.body, { headers });
+
+  if (Number(length) > 0 && Number(length) <= MAX_CACHED_DEB) {
+    ctx.waitUntil(cache.put(cacheKey, resp.clone()));
+  }
+  return resp;
+}
+
+// Returns { response, cache } or { status } as fetchCached does.
+function fetchIndexFile(distro, upstreamUrl, ctx) {
+  const key = "deb/" + distro + "/" + upstreamUrl.replace(/^[a-z]+:\/\//, "");
+  return fetchCached(key, [{ url: upstreamUrl }], { freshTtl: INDEX_FRESH_TTL, staleTtl: INDEX_STALE_TTL }, ctx);
+}
+
+// Streams the RFC 822-style blocks so the full decompressed index (tens of
+// MB for universe) never has to sit in memory at once.
+async function parsePackages(stream) {
+  const packages = {};
+  let entry = {};
+  const finish = () => {
+    if (entry.name && entry.version && entry.filename) {
+      packages[entry.name] = {
+        version: entry.version,
+        depends: entry.depends || "",
+        filename: entry.filename,
+        sha256: entry.sha256 || "",
+        size: entry.size || 0,
+      };
+    }
+    entry = {};
+  };
+
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let partial = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    const lines = (partial + (value || "")).split("\n");
+    partial = done ? "" : lines.pop();
+    for (const line of lines) {
+      if (line === "") {
+        finish();
+        continue;
+      }
+      // Continuation lines (long descriptions) start with a space or tab
+      if (line[0] === " " || line[0] === "\t") continue;
+      const colon = line.indexOf(": ");
+      const key = colon > 0 && INDEX_FIELDS[line.slice(0, colon)];
+      if (!key) continue;
+      const value = line.slice(colon + 2).trim();
+      entry[key] = key === "size" ? parseInt(value, 10) || 0 : value;
+    }
+    if (done) break;
+  }
+  finish();
+  return packages;
+}
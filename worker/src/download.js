@@ -0,0 +1,109 @@
+import {
+  ORIGIN,
+  PLATFORMS,
+  normalizeTag,
+  resolvePlatform,
+  parsePlatform,
+  fetchReleaseByTag,
+  fetchLatestRelease,
+  fetchChecksums,
+} from "./release.js";
+import { textResponse } from "./http.js";
+import { yankedVersions } from "./advisories.js";
+import { countEvent } from "./stats.js";
+
+const LATEST_DOWNLOAD_TTL = 300; // /download/<platform> moves to each new release
+const PINNED_DOWNLOAD_TTL = 31536000; // a tagged tarball never changes
+
+const USAGE = `usage:
+  /download/<platform>                  latest release
+  /download/<platform>?version=0.1.067  pinned release
+  /download?os=$(uname -s)&arch=$(uname -m)
+
+platforms: ${Object.keys(PLATFORMS).join(", ")}
+`;
+
+// Streams the nb tarball for one platform through the edge cache, so mirrors
+// and air-gapped caches have a single stable URL to pull from.
+export async function downloadRoute(request, url, env, ctx) {
+  const target = url.pathname.slice("/download".length).replace(/^\/+/, "");
+  const os = url.searchParams.get("os");
+  const arch = url.searchParams.get("arch");
+  if (!target && !os && !arch) return textResponse(USAGE, 400, "public, max-age=3600");
+
+  let asked = (os || "?") + "/" + (arch || "?");
+  if (target) {
+    // A malformed escape can't name a platform, so it falls through to the 404
+    try {
+      asked = decodeURIComponent(target);
+    } catch {
+      asked = target;
+    }
+  }
+  const platform = target ? parsePlatform(asked) : resolvePlatform(os, arch);
+  if (!platform) {
+    return textResponse("error: nb has no build for " + asked + "\n\n" + USAGE, 404, "public, max-age=3600");
+  }
+
+  const requested = url.searchParams.get("version");
+  const tag = requested ? normalizeTag(requested) : null;
+  if (requested && !tag) return textResponse("error: invalid version: " + requested + "\n", 400, "public, max-age=60");
+
+  let release;
+  try {
+    release = tag ? await fetchReleaseByTag(tag) : await fetchLatestRelease("stable", yankedVersions(env));
+  } catch {
+    return textResponse("error: could not resolve release, try again shortly\n", 503, "no-store");
+  }
+  if (!release) return textResponse("error: release " + tag + " not found\n", 404, "public, max-age=60");
+
+  const name = PLATFORMS[platform];
+  const asset = release.assets.find((a) => a.name === name);
+  if (!asset) {
+    return textResponse("error: release " + release.tag_name + " has no " + name + "\n", 404, "public, max-age=300");
+  }
+
+  const maxAge = tag ? PINNED_DOWNLOAD_TTL + ", immutable" : LATEST_DOWNLOAD_TTL;
+  const tarball = await fetchTarball(release, asset, ctx);
+  if (!tarball) return textResponse("error: could not download " + name + ", try again shortly\n", 502, "no-store");
+
+  const resp = new Response(tarball.body, tarball);
+  resp.headers.set("cache-control", "public, max-age=" + maxAge);
+  countEvent(request, env, ctx, "download", platform, release.tag_name);
+  return resp;
+}
+
+// Tarballs are cached by tag, so the latest and pinned URLs share one entry.
+// null when GitHub fails or can't be reached.
+async function fetchTarball(release, asset, ctx) {
+  const cache = caches.default;
+  const cacheKey = new Request(ORIGIN + "/_cached/download/" + release.tag_name + "/" + asset.name);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  let upstream;
+  try {
+    upstream = await fetch(asset.url, { headers: { "User-Agent": "nanobrew-worker" } });
+  } catch {
+    return null;
+  }
+  if (!upstream.ok) return null;
+
+  const headers = {
+    "content-type": "application/gzip",
+    "content-disposition": 'attachment; filename="' + asset.name + '"',
+    "cache-control": "public, max-age=" + PINNED_DOWNLOAD_TTL,
+    "x-nanobrew-version": release.tag_name,
+    "access-control-allow-origin": "*",
+  };
+  const length = upstream.headers.get("content-length");
+  if (length) headers["content-length"] = length;
+  try {
+    const checksums = await fetchChecksums(release);
+    if (checksums[asset.name]) headers["x-checksum-sha256"] = checksums[asset.name];
+  } catch {}
+
+  const resp = new Response(upstream.body, { headers });
+  ctx.waitUntil(cache.put(cacheKey, resp.clone()));
+  return resp;
+}
@@ -0,0 +1,200 @@
+// Shared pieces of the HTML pages: the landing page's base styles (palette,
+// type, nav, footer) and a shell for the smaller pages built on them.
+
+export const BASE_CSS = `  :root {
+    --gold: #FFB800;
+    --gold-soft: rgba(255, 184, 0, 0.12);
+    --gold-glow: rgba(255, 184, 0, 0.06);
+    --bg: #050505;
+    --surface: #0A0A0A;
+    --surface-raised: #0F0F0F;
+    --border: #1A1A1A;
+    --border-bright: #282828;
+    --text: #D4D4D4;
+    --bright: #FAFAFA;
+    --muted: #777;
+    --dim: #444;
+    --dim-2: #2A2A2A;
+    --brew-bar: #181818;
+    --fd: 'Syne', system-ui, sans-serif;
+    --fm: 'IBM Plex Mono', 'SF Mono', 'Fira Code', monospace;
+  }
+
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  html { scroll-behavior: smooth; }
+
+  body {
+    background: var(--bg);
+    color: var(--text);
+    font-family: var(--fm);
+    font-size: 15px;
+    line-height: 1.65;
+    -webkit-font-smoothing: antialiased;
+    -moz-osx-font-smoothing: grayscale;
+    overflow-x: hidden;
+  }
+
+  /* Noise grain */
+  body::after {
+    content: '';
+    position: fixed;
+    inset: 0;
+    background: url("data:image/svg+xml,%3Csvg viewBox='0 0 512 512' xmlns='http://www.w3.org/2000/svg'%3E%3Cfilter id='n'%3E%3CfeTurbulence type='fractalNoise' baseFrequency='0.75' numOctaves='4' stitchTiles='stitch'/%3E%3C/filter%3E%3Crect width='100%25' height='100%25' filter='url(%23n)' opacity='0.05'/%3E%3C/svg%3E");
+    pointer-events: none;
+    z-index: 9999;
+  }
+
+  .wrap { max-width: 820px; margin: 0 auto; padding: 0 2rem; }
+
+  /* ── Nav ── */
+  nav {
+    padding: 1.5rem 0;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+  }
+  .nav-mark {
+    font-family: var(--fd);
+    font-weight: 800;
+    font-size: 1rem;
+    color: var(--bright);
+    text-decoration: none;
+    letter-spacing: 0.03em;
+  }
+  .nav-links { display: flex; gap: 1.75rem; font-size: 0.82rem; }
+  .nav-links a { color: var(--muted); text-decoration: none; transition: color 0.2s; }
+  .nav-links a:hover { color: var(--text); }
+
+  /* ── Footer ── */
+  footer {
+    padding: 3rem 0;
+    border-top: 1px solid var(--border);
+    text-align: center;
+    font-size: 0.78rem;
+    color: var(--dim);
+  }
+  .foot-links {
+    display: flex;
+    justify-content: center;
+    gap: 2rem;
+    margin-bottom: 1rem;
+  }
+  footer a { color: var(--muted); text-decoration: none; transition: color 0.2s; }
+  footer a:hover { color: var(--text); }
+  code { font-family: var(--fm); background: var(--surface-raised); padding: 0.1rem 0.35rem; border-radius: 3px; font-size: 0.9em; }
+
+  /* Install box */
+  .install {
+    display: inline-flex;
+    align-items: center;
+    gap: 1rem;
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 10px;
+    padding: 1rem 1.25rem 1rem 1.5rem;
+    cursor: pointer;
+    transition: border-color 0.3s, box-shadow 0.3s;
+    animation: fadeUp 0.7s ease-out 0.16s both;
+    font-size: 0.9rem;
+  }
+  .install:hover {
+    border-color: var(--dim);
+    box-shadow: 0 0 40px var(--gold-glow);
+  }
+  .install .p { color: var(--dim); user-select: none; }
+  .install .c { color: var(--text); }
+  .install .u { color: var(--gold); }
+  .install .cp {
+    background: none;
+    border: 1px solid var(--border);
+    border-radius: 5px;
+    color: var(--muted);
+    padding: 0.2rem 0.55rem;
+    font-family: var(--fm);
+    font-size: 0.72rem;
+    cursor: pointer;
+    transition: all 0.2s;
+    flex-shrink: 0;
+  }
+  .install .cp:hover { color: var(--text); border-color: var(--dim); }
+
+  /* ── Animations ── */
+  @keyframes fadeUp {
+    from { opacity: 0; transform: translateY(20px); }
+    to { opacity: 1; transform: translateY(0); }
+  }
+`;
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Click handler for the install boxes (.install in BASE_CSS): copies the box's
+// data-cmd and flashes its copy button.
+export const COPY_SCRIPT = `function copyCmd(box) {
+  navigator.clipboard.writeText(box.getAttribute('data-cmd'));
+  var btn = box.querySelector('.cp');
+  box.style.borderColor = '#FFB800';
+  box.style.boxShadow = '0 0 40px rgba(255,184,0,0.15)';
+  btn.textContent = 'copied!';
+  btn.style.color = '#FFB800';
+  setTimeout(function() {
+    box.style.borderColor = '';
+    box.style.boxShadow = '';
+    btn.textContent = 'copy';
+    btn.style.color = '';
+  }, 1500);
+}`;
+
+// A full page in the landing page's style. title and description are escaped
+// here; body, css and script are trusted HTML/CSS/JS from the caller.
+export function renderPage({ title, description, body, css = "", script = "" }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<meta name="theme-color" content="#050505">
+<title>${escapeHtml(title)}</title>
+<meta name="description" content="${escapeHtml(description)}">
+<meta property="og:title" content="${escapeHtml(title)}">
+<meta property="og:description" content="${escapeHtml(description)}">
+<link rel="icon" href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='.9em' font-size='90'>⚡</text></svg>">
+<link rel="preconnect" href="https://fonts.googleapis.com">
+<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+<link href="https://fonts.googleapis.com/css2?family=Syne:wght@700;800&family=IBM+Plex+Mono:ital,wght@0,400;0,500;0,600&display=swap" rel="stylesheet">
+<style>
+${BASE_CSS}
+${css}
+</style>
+</head>
+<body>
+<div class="wrap">
+  <nav>
+    <a href="/" class="nav-mark">nanobrew</a>
+    <div class="nav-links">
+      <a href="https://github.com/justrach/nanobrew">GitHub</a>
+      <a href="https://github.com/justrach/nanobrew#how-it-works">Docs</a>
+      <a href="https://github.com/justrach/nanobrew#performance-snapshot">Benchmarks</a>
+    </div>
+  </nav>
+
+${body}
+
+  <footer>
+    <div class="foot-links">
+      <a href="https://github.com/justrach/nanobrew">GitHub</a>
+      <a href="https://github.com/justrach/nanobrew#performance-snapshot">Benchmarks</a>
+      <a href="https://github.com/justrach/nanobrew/blob/main/LICENSE">Apache 2.0</a>
+    </div>
+    <p>Built with care. Powered by Homebrew's bottle ecosystem.</p>
+  </footer>
+</div>
+${script ? "<script>\n" + script + "\n</script>\n" : ""}</body>
+</html>`;
+}
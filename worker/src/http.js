@@ -0,0 +1,44 @@
+// Response helpers shared by the routes. Data routes allow any origin so the
+// landing page and third-party tools can read them.
+
+export function scriptResponse(body, cacheControl, status = 200) {
+  return new Response(body, {
+    status,
+    headers: {
+      "content-type": "text/plain; charset=utf-8",
+      "cache-control": cacheControl,
+    },
+  });
+}
+
+export function textResponse(body, status, cacheControl) {
+  return new Response(body, {
+    status,
+    headers: {
+      "content-type": "text/plain; charset=utf-8",
+      "cache-control": cacheControl,
+      "access-control-allow-origin": "*",
+    },
+  });
+}
+
+export function jsonResponse(body, status, cacheControl) {
+  return new Response(JSON.stringify(body, null, 2), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": cacheControl,
+      "access-control-allow-origin": "*",
+    },
+  });
+}
+
+export function htmlResponse(body, status, cacheControl) {
+  return new Response(body, {
+    status,
+    headers: {
+      "content-type": "text/html; charset=utf-8",
+      "cache-control": cacheControl,
+    },
+  });
+}
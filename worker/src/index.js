@@ -1,106 +1,50 @@
-const REPO = "justrach/nanobrew";
-
-const INSTALL_SCRIPT = `#!/bin/bash
-set -euo pipefail
-
-REPO="${REPO}"
-INSTALL_DIR="/opt/nanobrew"
-BIN_DIR="$INSTALL_DIR/prefix/bin"
-
-echo ""
-echo "  nanobrew — the fastest package manager"
-echo ""
-
-# Detect OS and architecture
-OS="$(uname -s)"
-ARCH="$(uname -m)"
-
-case "$OS" in
-    Darwin)
-        case "$ARCH" in
-            arm64|aarch64) TARBALL="nb-arm64-apple-darwin.tar.gz" ;;
-            x86_64)        TARBALL="nb-x86_64-apple-darwin.tar.gz" ;;
-            *) echo "error: unsupported architecture: $ARCH"; exit 1 ;;
-        esac
-        ;;
-    Linux)
-        case "$ARCH" in
-            aarch64) TARBALL="nb-aarch64-linux.tar.gz" ;;
-            x86_64)  TARBALL="nb-x86_64-linux.tar.gz" ;;
-            *) echo "error: unsupported architecture: $ARCH"; exit 1 ;;
-        esac
-        ;;
-    *)
-        echo "error: unsupported OS: $OS"
-        exit 1
-        ;;
-esac
-
-# Get latest release tag
-echo "  Fetching latest release..."
-LATEST=$(curl -fsSL "https://api.github.com/repos/$REPO/releases/latest" | grep '"tag_name"' | cut -d'"' -f4)
-if [ -z "$LATEST" ]; then
-    echo "error: could not find latest release"
-    echo "hint: make sure https://github.com/$REPO has a release"
-    exit 1
-fi
-echo "  Found $LATEST"
-
-# Download binary
-URL="https://github.com/$REPO/releases/download/$LATEST/$TARBALL"
-
-echo "  Downloading $TARBALL..."
-TMPDIR_DL="$(mktemp -d)"
-trap 'rm -rf "$TMPDIR_DL"' EXIT
-
-curl -fsSL "$URL" -o "$TMPDIR_DL/$TARBALL"
-tar -xzf "$TMPDIR_DL/$TARBALL" -C "$TMPDIR_DL"
-
-# Create directories
-echo "  Creating directories..."
-if [ ! -d "$INSTALL_DIR" ]; then
-    sudo mkdir -p "$INSTALL_DIR"
-    sudo chown -R "$(whoami)" "$INSTALL_DIR"
-fi
-mkdir -p "$BIN_DIR" \\
-    "$INSTALL_DIR/cache/blobs" \\
-    "$INSTALL_DIR/cache/tmp" \\
-    "$INSTALL_DIR/cache/tokens" \\
-    "$INSTALL_DIR/cache/api" \\
-    "$INSTALL_DIR/prefix/Cellar" \\
-    "$INSTALL_DIR/store" \\
-    "$INSTALL_DIR/db"
-
-# Install binary
-cp "$TMPDIR_DL/nb" "$BIN_DIR/nb"
-chmod +x "$BIN_DIR/nb"
-echo "  Installed nb to $BIN_DIR/nb"
-
-# Add to PATH
-if [ "$OS" = "Linux" ]; then
-    SHELL_RC="$HOME/.bashrc"
-elif [ -n "\${ZSH_VERSION:-}" ] || [ -f "$HOME/.zshrc" ]; then
-    SHELL_RC="$HOME/.zshrc"
-else
-    SHELL_RC="$HOME/.bashrc"
-fi
-
-if ! grep -q '/opt/nanobrew/prefix/bin' "$SHELL_RC" 2>/dev/null; then
-    echo "" >> "$SHELL_RC"
-    echo "# nanobrew" >> "$SHELL_RC"
-    echo 'export PATH="/opt/nanobrew/prefix/bin:$PATH"' >> "$SHELL_RC"
-fi
-
-echo ""
-echo "  Done! Run this to start using nanobrew:"
-echo ""
-echo "    export PATH=\\"/opt/nanobrew/prefix/bin:\\$PATH\\""
-echo ""
-echo "  Then:"
-echo ""
-echo "    nb install ffmpeg"
-echo ""
-`;
+import {
+  REPO,
+  ORIGIN,
+  normalizeTag,
+  fetchReleaseByTag,
+  fetchLatestRelease,
+  versionFromTag,
+  fetchChecksums,
+  formatChecksums,
+  releaseMetadata,
+  parsePlatform,
+  CHANNELS,
+} from "./release.js";
+import {
+  renderInstallScript,
+  renderUninstallScript,
+  errorScript,
+  powerShellErrorScript,
+  renderPowerShellScript,
+  renderWindowsShellScript,
+  parseInstallOptions,
+  queryFlag,
+} from "./install.js";
+import { scriptResponse, textResponse, jsonResponse } from "./http.js";
+import { downloadRoute } from "./download.js";
+import { isBrewApiPath, brewApiRoute } from "./brew.js";
+import { searchRoute, searchIndexRoute } from "./search.js";
+import { bottleRoute } from "./bottles.js";
+import { isDebPath, debRoute } from "./deb.js";
+import { tapRoute } from "./tap.js";
+import { loadAdvisories, yankedVersions, advisoriesRoute } from "./advisories.js";
+import { formulaAdvisoriesRoute } from "./osv.js";
+import { bundleRoute } from "./bundles.js";
+import { BASE_CSS, COPY_SCRIPT, escapeHtml } from "./html.js";
+import { packageRoute } from "./packages.js";
+import { benchmarksRoute, renderBenchmarks, benchmarkHighlights } from "./benchmarks.js";
+import { changelogRoute } from "./changelog.js";
+import { countEvent, statsRoute } from "./stats.js";
+import { GET, POST, routeRequest } from "./router.js";
+
+// Durable Object class behind the STATS binding
+export { StatsCounter } from "./stats.js";
+
+// Hero and meta numbers come from the same data as the Speed section
+const HIGHLIGHTS = benchmarkHighlights();
+const SPEEDUP_CLAIM = HIGHLIGHTS.speedup ? "Install macOS packages up to " + HIGHLIGHTS.speedup.factor + " faster than Homebrew. " : "";
+const WARM_CLAIM = HIGHLIGHTS.warm ? HIGHLIGHTS.warm.time + " warm installs. " : "";
 
 const LANDING_HTML = `<!DOCTYPE html>
 <html lang="en">
@@ -109,9 +53,9 @@ const LANDING_HTML = `<!DOCTYPE html>
 <meta name="viewport" content="width=device-width,initial-scale=1">
 <meta name="theme-color" content="#050505">
 <title>nanobrew — the fastest macOS package manager</title>
-<meta name="description" content="Install macOS packages 7,000x faster than Homebrew. APFS clonefile, parallel deps, native Mach-O parsing. Written in Zig.">
+<meta name="description" content="${SPEEDUP_CLAIM}APFS clonefile, parallel deps, native Mach-O parsing. Written in Zig.">
 <meta property="og:title" content="nanobrew">
-<meta property="og:description" content="The fastest macOS package manager. 3.5ms warm installs. Written in Zig.">
+<meta property="og:description" content="The fastest macOS package manager. ${WARM_CLAIM}Written in Zig.">
 <meta property="og:type" content="website">
 <meta property="og:url" content="https://nanobrew.trilok.ai">
 <link rel="icon" href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='.9em' font-size='90'>⚡</text></svg>">
@@ -119,70 +63,7 @@ const LANDING_HTML = `<!DOCTYPE html>
 <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
 <link href="https://fonts.googleapis.com/css2?family=Syne:wght@700;800&family=IBM+Plex+Mono:ital,wght@0,400;0,500;0,600&display=swap" rel="stylesheet">
 <style>
-  :root {
-    --gold: #FFB800;
-    --gold-soft: rgba(255, 184, 0, 0.12);
-    --gold-glow: rgba(255, 184, 0, 0.06);
-    --bg: #050505;
-    --surface: #0A0A0A;
-    --surface-raised: #0F0F0F;
-    --border: #1A1A1A;
-    --border-bright: #282828;
-    --text: #D4D4D4;
-    --bright: #FAFAFA;
-    --muted: #777;
-    --dim: #444;
-    --dim-2: #2A2A2A;
-    --brew-bar: #181818;
-    --fd: 'Syne', system-ui, sans-serif;
-    --fm: 'IBM Plex Mono', 'SF Mono', 'Fira Code', monospace;
-  }
-
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  html { scroll-behavior: smooth; }
-
-  body {
-    background: var(--bg);
-    color: var(--text);
-    font-family: var(--fm);
-    font-size: 15px;
-    line-height: 1.65;
-    -webkit-font-smoothing: antialiased;
-    -moz-osx-font-smoothing: grayscale;
-    overflow-x: hidden;
-  }
-
-  /* Noise grain */
-  body::after {
-    content: '';
-    position: fixed;
-    inset: 0;
-    background: url("data:image/svg+xml,%3Csvg viewBox='0 0 512 512' xmlns='http://www.w3.org/2000/svg'%3E%3Cfilter id='n'%3E%3CfeTurbulence type='fractalNoise' baseFrequency='0.75' numOctaves='4' stitchTiles='stitch'/%3E%3C/filter%3E%3Crect width='100%25' height='100%25' filter='url(%23n)' opacity='0.05'/%3E%3C/svg%3E");
-    pointer-events: none;
-    z-index: 9999;
-  }
-
-  .wrap { max-width: 820px; margin: 0 auto; padding: 0 2rem; }
-
-  /* ── Nav ── */
-  nav {
-    padding: 1.5rem 0;
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-  }
-  .nav-mark {
-    font-family: var(--fd);
-    font-weight: 800;
-    font-size: 1rem;
-    color: var(--bright);
-    text-decoration: none;
-    letter-spacing: 0.03em;
-  }
-  .nav-links { display: flex; gap: 1.75rem; font-size: 0.82rem; }
-  .nav-links a { color: var(--muted); text-decoration: none; transition: color 0.2s; }
-  .nav-links a:hover { color: var(--text); }
-
+${BASE_CSS}
   /* ── Hero ── */
   .hero {
     padding: 7rem 0 5rem;
@@ -221,40 +102,6 @@ const LANDING_HTML = `<!DOCTYPE html>
   }
   .hero .sub strong { color: var(--gold); font-weight: 500; }
 
-  /* Install box */
-  .install {
-    display: inline-flex;
-    align-items: center;
-    gap: 1rem;
-    background: var(--surface);
-    border: 1px solid var(--border);
-    border-radius: 10px;
-    padding: 1rem 1.25rem 1rem 1.5rem;
-    cursor: pointer;
-    transition: border-color 0.3s, box-shadow 0.3s;
-    animation: fadeUp 0.7s ease-out 0.16s both;
-    font-size: 0.9rem;
-  }
-  .install:hover {
-    border-color: var(--dim);
-    box-shadow: 0 0 40px var(--gold-glow);
-  }
-  .install .p { color: var(--dim); user-select: none; }
-  .install .c { color: var(--text); }
-  .install .u { color: var(--gold); }
-  .install .cp {
-    background: none;
-    border: 1px solid var(--border);
-    border-radius: 5px;
-    color: var(--muted);
-    padding: 0.2rem 0.55rem;
-    font-family: var(--fm);
-    font-size: 0.72rem;
-    cursor: pointer;
-    transition: all 0.2s;
-    flex-shrink: 0;
-  }
-  .install .cp:hover { color: var(--text); border-color: var(--dim); }
   .install-note {
     font-size: 0.78rem;
     color: var(--dim);
@@ -312,6 +159,29 @@ const LANDING_HTML = `<!DOCTYPE html>
     color: var(--dim);
     margin-bottom: 2.5rem;
   }
+  .bench-sub a { color: var(--muted); }
+  .bench-toggle {
+    display: inline-flex;
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    overflow: hidden;
+    margin-bottom: 1rem;
+  }
+  .bench-toggle button {
+    background: none;
+    border: none;
+    color: var(--muted);
+    padding: 0.3rem 0.9rem;
+    font-family: var(--fm);
+    font-size: 0.75rem;
+    cursor: pointer;
+  }
+  .bench-toggle button[aria-pressed="true"] { background: var(--gold-soft); color: var(--gold); }
+  .bs .bench-sub { margin-bottom: 1.25rem; }
+  .bench[data-mode="cold"] .bs:not([data-modes~="cold"]),
+  .bench[data-mode="warm"] .bs:not([data-modes~="warm"]),
+  .bench[data-mode="cold"] .bg[data-mode="warm"],
+  .bench[data-mode="warm"] .bg[data-mode="cold"] { display: none; }
   .bg {
     margin-bottom: 2.25rem;
   }
@@ -330,7 +200,7 @@ const LANDING_HTML = `<!DOCTYPE html>
     height: 30px;
   }
   .br-l {
-    width: 3rem;
+    width: 4.5rem;
     text-align: right;
     font-size: 0.72rem;
     color: var(--muted);
@@ -366,7 +236,7 @@ const LANDING_HTML = `<!DOCTYPE html>
     font-size: 0.72rem;
     color: var(--gold);
     margin-top: 0.35rem;
-    padding-left: 3.6rem;
+    padding-left: 5.1rem;
     font-weight: 500;
     opacity: 0;
     transition: opacity 0.5s 0.6s;
@@ -496,29 +366,7 @@ const LANDING_HTML = `<!DOCTYPE html>
     color: var(--muted);
   }
 
-  /* ── Footer ── */
-  footer {
-    padding: 3rem 0;
-    border-top: 1px solid var(--border);
-    text-align: center;
-    font-size: 0.78rem;
-    color: var(--dim);
-  }
-  .foot-links {
-    display: flex;
-    justify-content: center;
-    gap: 2rem;
-    margin-bottom: 1rem;
-  }
-  footer a { color: var(--muted); text-decoration: none; transition: color 0.2s; }
-  footer a:hover { color: var(--text); }
-  code { font-family: var(--fm); background: var(--surface-raised); padding: 0.1rem 0.35rem; border-radius: 3px; font-size: 0.9em; }
-
   /* ── Animations ── */
-  @keyframes fadeUp {
-    from { opacity: 0; transform: translateY(20px); }
-    to { opacity: 1; transform: translateY(0); }
-  }
   @keyframes termLine {
     from { opacity: 0; transform: translateX(-6px); }
     to { opacity: 1; transform: translateX(0); }
@@ -561,61 +409,22 @@ const LANDING_HTML = `<!DOCTYPE html>
   <section class="hero">
     <h1>nanobrew</h1>
     <p class="sub">The fastest macOS package manager. Written in <strong>Zig</strong>.</p>
-    <div class="install" onclick="copyCmd()">
+    <div class="install" data-cmd="curl -fsSL https://nanobrew.trilok.ai/install | bash" onclick="copyCmd(this)">
       <span><span class="p">$</span> <span class="c">curl -fsSL</span> <span class="u">https://nanobrew.trilok.ai/install</span> <span class="c">| bash</span></span>
-      <button class="cp" id="cpBtn">copy</button>
+      <button class="cp">copy</button>
     </div>
     <p class="install-note">Then restart your terminal or run the export command it prints.</p>
   </section>
 
-  <section class="stat">
-    <span class="stat-num">3.5ms</span>
-    <span class="stat-label">warm install time</span>
-    <p class="stat-ctx"><em>7,000x</em> faster than Homebrew &middot; faster than <code>echo</code></p>
+${HIGHLIGHTS.warm ? `  <section class="stat">
+    <span class="stat-num">${HIGHLIGHTS.warm.time}</span>
+    <span class="stat-label">warm install of ${escapeHtml(HIGHLIGHTS.warm.package)}</span>${HIGHLIGHTS.speedup ? `
+    <p class="stat-ctx"><em>${HIGHLIGHTS.speedup.factor}</em> faster than Homebrew on a cold ${escapeHtml(HIGHLIGHTS.speedup.package)} install</p>` : ""}
   </section>
-
-  <section class="bench">
+` : ""}
+  <section class="bench" data-mode="cold">
     <h2>Speed</h2>
-    <p class="bench-sub">Apple Silicon, macOS 15, same network. Cold = fresh download. Warm = cached in store.</p>
-
-    <div class="bg">
-      <div class="bg-title">tree <span>/ 0 deps, cold</span></div>
-      <div class="br">
-        <span class="br-l">brew</span>
-        <div class="br-t"><div class="br-b brew" data-w="100%">8.99s</div></div>
-      </div>
-      <div class="br">
-        <span class="br-l">nb</span>
-        <div class="br-t"><div class="br-b nb" data-w="13.2%">1.19s</div></div>
-      </div>
-      <div class="bg-note">7.6x faster</div>
-    </div>
-
-    <div class="bg">
-      <div class="bg-title">wget <span>/ 6 deps, cold</span></div>
-      <div class="br">
-        <span class="br-l">brew</span>
-        <div class="br-t"><div class="br-b brew" data-w="100%">16.84s</div></div>
-      </div>
-      <div class="br">
-        <span class="br-l">nb</span>
-        <div class="br-t"><div class="br-b nb" data-w="66.9%">11.26s</div></div>
-      </div>
-      <div class="bg-note">1.5x faster</div>
-    </div>
-
-    <div class="bg">
-      <div class="bg-title">ffmpeg <span>/ 11 deps, warm</span></div>
-      <div class="br">
-        <span class="br-l">brew</span>
-        <div class="br-t"><div class="br-b brew" data-w="100%">~24.5s</div></div>
-      </div>
-      <div class="br">
-        <span class="br-l">nb</span>
-        <div class="br-t"><div class="br-b nb" data-w="1.5%">3.5ms</div></div>
-      </div>
-      <div class="bg-note">7,000x faster</div>
-    </div>
+${renderBenchmarks()}
   </section>
 
   <section class="demo">
@@ -718,23 +527,16 @@ const LANDING_HTML = `<!DOCTYPE html>
 </div>
 
 <script>
-function copyCmd() {
-  navigator.clipboard.writeText('curl -fsSL https://nanobrew.trilok.ai/install | bash');
-  var box = document.querySelector('.install');
-  var btn = document.getElementById('cpBtn');
-  box.style.borderColor = '#FFB800';
-  box.style.boxShadow = '0 0 40px rgba(255,184,0,0.15)';
-  btn.textContent = 'copied!';
-  btn.style.color = '#FFB800';
-  setTimeout(function() {
-    box.style.borderColor = '';
-    box.style.boxShadow = '';
-    btn.textContent = 'copy';
-    btn.style.color = '';
-  }, 1500);
+${COPY_SCRIPT}
+
+function benchMode(mode) {
+  document.querySelector('.bench').setAttribute('data-mode', mode);
+  document.querySelectorAll('.bench-toggle button').forEach(function(b) {
+    b.setAttribute('aria-pressed', b.getAttribute('data-mode') === mode ? 'true' : 'false');
+  });
 }
 
-// Animate benchmark bars on scroll
+// Animate benchmark bars on scroll (groups revealed by the toggle animate when shown)
 var obs = new IntersectionObserver(function(entries) {
   entries.forEach(function(e) {
     if (e.isIntersecting) {
@@ -751,76 +553,270 @@ document.querySelectorAll('.bg').forEach(function(el) { obs.observe(el); });
 </html>`;
 
 const VERSION_CACHE_TTL = 300; // 5 minutes
+const STALE_CACHE_TTL = 60; // retry GitHub soon when serving the last known good release
+const PINNED_SCRIPT_TTL = 31536000; // 1 year — a pinned tag always renders the same script
+const TAG_JSON_TTL = 86400; // min_supported can change, so keep tagged metadata shorter
 
-export default {
-  async fetch(request) {
-    const url = new URL(request.url);
-    const ua = (request.headers.get("user-agent") || "").toLowerCase();
-    const isCurl = ua.includes("curl") || ua.includes("wget");
-
-    if (url.pathname === "/install" || (url.pathname === "/" && isCurl)) {
-      return new Response(INSTALL_SCRIPT, {
-        headers: {
-          "content-type": "text/plain; charset=utf-8",
-          "cache-control": "public, max-age=300",
-        },
-      });
-    }
+async function pinnedInstall(requested, options, env) {
+  const tag = normalizeTag(requested);
+  if (!tag) {
+    return scriptResponse(errorScript("invalid version: " + requested, "use a release tag like v0.1.067"), "public, max-age=60");
+  }
 
-    if (url.pathname === "/version") {
-      // Try CF Cache API first
-      const cache = caches.default;
-      const cacheKey = new Request("https://nanobrew.trilok.ai/_cached/version");
-      const cached = await cache.match(cacheKey);
-      if (cached) return cached;
-
-      try {
-        const gh = await fetch("https://api.github.com/repos/" + REPO + "/releases/latest", {
-          headers: { "User-Agent": "nanobrew-worker" },
-        });
-        if (!gh.ok) {
-          // Rate limited — return last known version
-          return new Response("0.1.06", {
-            headers: {
-              "content-type": "text/plain; charset=utf-8",
-              "cache-control": "public, max-age=60",
-              "access-control-allow-origin": "*",
-            },
-          });
-        }
-        const data = await gh.json();
-        const tag = data.tag_name || "";
-        const ver = tag.startsWith("v") ? tag.slice(1) : tag;
-        const resp = new Response(ver, {
-          headers: {
-            "content-type": "text/plain; charset=utf-8",
-            "cache-control": "public, max-age=" + VERSION_CACHE_TTL,
-            "access-control-allow-origin": "*",
-          },
-        });
-        // Store in CF cache for 5 minutes
-        await cache.put(cacheKey, resp.clone());
-        return resp;
-      } catch {
-        return new Response("0.1.06", {
-          headers: {
-            "content-type": "text/plain; charset=utf-8",
-            "cache-control": "public, max-age=60",
-            "access-control-allow-origin": "*",
-          },
-        });
-      }
-    }
+  let release;
+  try {
+    release = await fetchReleaseByTag(tag);
+  } catch {
+    return scriptResponse(errorScript("could not look up release " + tag, "GitHub is unavailable, try again shortly"), "no-store");
+  }
+  if (!release) {
+    return scriptResponse(errorScript("release " + tag + " not found", "see https://github.com/" + REPO + "/releases"), "public, max-age=60");
+  }
 
-    if (url.pathname === "/") {
-      return new Response(LANDING_HTML, {
-        headers: {
-          "content-type": "text/html; charset=utf-8",
-          "cache-control": "public, max-age=3600",
-        },
-      });
+  // Pinned installs of a yanked release still work, so reproducible builds
+  // keep building, but they print the advisory
+  const version = versionFromTag(release.tag_name);
+  const warnings = loadAdvisories(env)
+    .filter((a) => a.versions.includes(version))
+    .map((a) => (a.yanked ? "yanked, " : "") + a.severity + ": " + a.message + (a.url ? " " + a.url : ""));
+  return installResponse(release, true, options, warnings);
+}
+
+async function installResponse(release, pinned, options, warnings = []) {
+  let checksums;
+  try {
+    checksums = await fetchChecksums(release);
+  } catch {
+    return scriptResponse(errorScript("could not fetch checksums for " + release.tag_name, "try again shortly"), "no-store");
+  }
+
+  const maxAge = pinned ? PINNED_SCRIPT_TTL + ", immutable" : release.stale ? STALE_CACHE_TTL : VERSION_CACHE_TTL;
+  const resp = scriptResponse(renderInstallScript({ release, checksums, pinned, options, warnings }), "public, max-age=" + maxAge);
+  resp.headers.set("x-nanobrew-version", release.tag_name);
+  return resp;
+}
+
+async function latestInstall(options, env) {
+  let release;
+  try {
+    release = await fetchLatestRelease(options.channel || "stable", yankedVersions(env));
+  } catch {
+    const what = options.channel ? "latest " + options.channel + " release" : "latest release";
+    return scriptResponse(errorScript("could not find " + what, "GitHub is unavailable, try again shortly"), "no-store");
+  }
+  return installResponse(release, false, options);
+}
+
+async function installRoute(url, client, pinnedPath, env) {
+  const powershell = client.kind === "powershell" || url.pathname === "/install.ps1";
+
+  // The pinned tag is checked before any branch embeds the URL in a script,
+  // and the path is rebuilt from the normalized tag rather than echoed back
+  let pinnedTag = null;
+  if (pinnedPath) {
+    let requested;
+    try {
+      requested = decodeURIComponent(pinnedPath[1]);
+    } catch {
+      requested = pinnedPath[1];
     }
+    pinnedTag = normalizeTag(requested);
+    if (!pinnedTag) {
+      const render = powershell ? powerShellErrorScript : errorScript;
+      return scriptResponse(render("invalid version: " + requested, "use a release tag like v0.1.067"), "public, max-age=60");
+    }
+  }
+
+  // Re-serialised so the query can't break out of the quotes it's embedded in
+  const query = new URLSearchParams(url.searchParams).toString();
+  const bashUrl = ORIGIN + (pinnedTag ? "/install/" + pinnedTag : "/install") + (query ? "?" + query : "");
+
+  if (powershell) {
+    return scriptResponse(renderPowerShellScript(bashUrl), "public, max-age=" + VERSION_CACHE_TTL);
+  }
+  if (client.os === "windows") {
+    return scriptResponse(renderWindowsShellScript(bashUrl), "public, max-age=" + VERSION_CACHE_TTL);
+  }
+  if (client.os === "unsupported") {
+    const body = errorScript("nanobrew supports macOS and Linux, not " + client.osName, "see https://github.com/" + REPO);
+    return scriptResponse(body, "public, max-age=3600", 400);
+  }
+
+  const requested = pinnedTag || url.searchParams.get("version");
+  const { options, error, hint } = parseInstallOptions(url.searchParams);
+  if (error) return scriptResponse(errorScript(error, hint), "public, max-age=60");
+  if (requested) return pinnedInstall(requested, options, env);
+  return latestInstall(options, env);
+}
 
-    return Response.redirect("https://github.com/justrach/nanobrew", 302);
+// SHA256SUMS-style manifest for the latest release, or ?version= for a pinned one.
+async function checksumsRoute(url, env) {
+  const requested = url.searchParams.get("version");
+  const tag = requested ? normalizeTag(requested) : null;
+  if (requested && !tag) return textResponse("invalid version: " + requested + "\n", 400, "public, max-age=60");
+
+  try {
+    const release = tag ? await fetchReleaseByTag(tag) : await fetchLatestRelease("stable", yankedVersions(env));
+    if (!release) return textResponse("release " + tag + " not found\n", 404, "public, max-age=60");
+    const checksums = await fetchChecksums(release);
+    const maxAge = tag ? PINNED_SCRIPT_TTL : release.stale ? STALE_CACHE_TTL : VERSION_CACHE_TTL;
+    return textResponse(formatChecksums(checksums), 200, "public, max-age=" + maxAge);
+  } catch {
+    return textResponse("could not fetch checksums, try again shortly\n", 502, "no-store");
+  }
+}
+
+// Reads ?channel= for /version and /version.json; null when it isn't one we know.
+function requestedChannel(url) {
+  const channel = url.searchParams.get("channel") || "stable";
+  return CHANNELS.includes(channel) ? channel : null;
+}
+
+// /version.json, /releases/latest.json and /releases/v0.1.067.json
+async function releaseJsonRoute(requested, channel, env) {
+  const tag = requested ? normalizeTag(requested) : null;
+  if (requested && !tag) return jsonResponse({ error: "invalid version: " + requested }, 400, "public, max-age=60");
+  if (!channel) return jsonResponse({ error: "channel must be one of " + CHANNELS.join(", ") }, 400, "public, max-age=3600");
+
+  let release;
+  try {
+    release = tag ? await fetchReleaseByTag(tag) : await fetchLatestRelease(channel, yankedVersions(env));
+  } catch {
+    return jsonResponse({ error: "could not resolve release, try again shortly" }, 503, "no-store");
+  }
+  if (!release) return jsonResponse({ error: "release " + tag + " not found" }, 404, "public, max-age=60");
+
+  // Checksums are best-effort here; nb can still show the update without them
+  let checksums = null;
+  try {
+    checksums = await fetchChecksums(release);
+  } catch {}
+
+  const maxAge = tag ? TAG_JSON_TTL : release.stale || !checksums ? STALE_CACHE_TTL : VERSION_CACHE_TTL;
+  const metadata = releaseMetadata(release, checksums, env.MIN_SUPPORTED_VERSION);
+  metadata.yanked = yankedVersions(env).includes(metadata.version);
+  const resp = jsonResponse(metadata, 200, "public, max-age=" + maxAge);
+  if (release.stale) resp.headers.set("x-nanobrew-stale", "1");
+  return resp;
+}
+
+// /releases/<tag>.json with the tag still percent-encoded
+function taggedReleaseJsonRoute(encoded, env) {
+  let requested;
+  try {
+    requested = decodeURIComponent(encoded);
+  } catch {
+    return jsonResponse({ error: "invalid version: " + encoded }, 400, "public, max-age=60");
+  }
+  return releaseJsonRoute(requested, "stable", env);
+}
+
+// GET /version: the latest version as plain text, checked daily by nb
+async function versionRoute(request, url, env, ctx) {
+  const channel = requestedChannel(url);
+  if (!channel) return textResponse("channel must be one of " + CHANNELS.join(", ") + "\n", 400, "public, max-age=3600");
+  try {
+    const release = await fetchLatestRelease(channel, yankedVersions(env));
+    const headers = {
+      "content-type": "text/plain; charset=utf-8",
+      "cache-control": "public, max-age=" + (release.stale ? STALE_CACHE_TTL : VERSION_CACHE_TTL),
+      "access-control-allow-origin": "*",
+    };
+    // GitHub is down or rate limiting us — this is the last release we saw
+    if (release.stale) headers["x-nanobrew-stale"] = "1";
+    // nb sends the version it runs and its platform with each daily check
+    countEvent(request, env, ctx, "update_check", parsePlatform(url.searchParams.get("platform")), url.searchParams.get("current"));
+    return new Response(versionFromTag(release.tag_name), { headers });
+  } catch {
+    // Nothing to fall back on; nb treats a non-200 as "no update info"
+    return textResponse("error", 503, "no-store");
+  }
+}
+
+async function installHandler({ request, url, env, ctx, client, match }) {
+  const pinnedPath = Array.isArray(match) ? match : null;
+  const resp = await installRoute(url, client, pinnedPath, env);
+  // The same URL serves bash, PowerShell or an error depending on the client
+  resp.headers.set("vary", "user-agent");
+  // Only scripts that install a release count; the PowerShell and WSL
+  // hand-offs fetch /install again from bash. curl doesn't say which
+  // platform it runs on.
+  const installed = resp.headers.get("x-nanobrew-version");
+  if (installed) countEvent(request, env, ctx, "install", null, installed);
+  return resp;
+}
+
+function landingRoute(req) {
+  // curl/wget/PowerShell on the bare domain get the install script
+  if (req.client.kind !== "other") return installHandler(req);
+  return new Response(LANDING_HTML, {
+    headers: {
+      "content-type": "text/html; charset=utf-8",
+      "cache-control": "public, max-age=3600",
+      "vary": "user-agent",
+    },
+  });
+}
+
+const path = (pathname) => (p) => p === pathname;
+const paths = (...pathnames) => (p) => pathnames.includes(p);
+const prefix = (start) => (p) => p.startsWith(start);
+const pattern = (re) => (p) => p.match(re);
+
+// Checked in order, first match wins; see router.js for the fields. Scripts
+// and HTML pages leave out cors, everything that serves data has it.
+const ROUTES = [
+  { match: path("/"), methods: GET, handle: landingRoute },
+  // /install/v0.1.067 pins a release by path, /install?version=0.1.067 by query
+  { match: paths("/install", "/install.ps1"), methods: GET, handle: installHandler },
+  { match: pattern(/^\/install\/([^/]+)$/), methods: GET, handle: installHandler },
+  {
+    match: path("/uninstall"),
+    methods: GET,
+    handle: ({ url }) => scriptResponse(
+      renderUninstallScript({
+        yes: queryFlag(url.searchParams, "yes"),
+        keepCache: queryFlag(url.searchParams, "keep-cache"),
+      }),
+      "public, max-age=" + VERSION_CACHE_TTL,
+    ),
+  },
+
+  { match: path("/bundle"), methods: POST, cors: true, json: true, handle: ({ request, url, env }) => bundleRoute(request, url, env) },
+  { match: pattern(/^\/bundle\/[^/]+\/install$/), methods: GET, handle: ({ request, url, env }) => bundleRoute(request, url, env) },
+  { match: prefix("/bundle/"), methods: GET, cors: true, handle: ({ request, url, env }) => bundleRoute(request, url, env) },
+
+  { match: (p) => p === "/download" || p.startsWith("/download/"), methods: GET, cors: true, handle: ({ request, url, env, ctx }) => downloadRoute(request, url, env, ctx) },
+  { match: isBrewApiPath, methods: GET, cors: true, json: true, handle: ({ request, url, ctx }) => brewApiRoute(request, url, ctx) },
+  { match: prefix("/bottles/"), methods: GET, cors: true, handle: ({ request, url, ctx }) => bottleRoute(request, url, ctx) },
+  { match: isDebPath, methods: GET, cors: true, handle: ({ request, url, ctx }) => debRoute(request, url, ctx) },
+  { match: prefix("/tap/"), methods: GET, cors: true, handle: ({ request, url, ctx }) => tapRoute(request, url, ctx) },
+  { match: prefix("/p/"), methods: GET, handle: ({ url, ctx }) => packageRoute(url, ctx) },
+
+  { match: path("/search"), methods: GET, cors: true, json: true, handle: ({ url, ctx }) => searchRoute(url, ctx) },
+  { match: paths("/search/index.ndjson", "/search/index.ndjson.gz"), methods: GET, cors: true, handle: ({ request, url, ctx }) => searchIndexRoute(request, url, ctx) },
+
+  { match: path("/checksums"), methods: GET, cors: true, handle: ({ url, env }) => checksumsRoute(url, env) },
+  { match: paths("/version.json", "/releases/latest.json"), methods: GET, cors: true, json: true, handle: ({ url, env }) => releaseJsonRoute(null, requestedChannel(url), env) },
+  {
+    match: pattern(/^\/releases\/([^/]+)\.json$/),
+    methods: GET,
+    cors: true,
+    json: true,
+    handle: ({ env, match }) => taggedReleaseJsonRoute(match[1], env),
+  },
+  { match: path("/version"), methods: GET, cors: true, handle: ({ request, url, env, ctx }) => versionRoute(request, url, env, ctx) },
+
+  { match: paths("/changelog", "/changelog.xml"), methods: GET, cors: true, handle: ({ url, ctx }) => changelogRoute(url, ctx) },
+  { match: path("/stats"), methods: GET, cors: true, json: true, handle: ({ url, env }) => statsRoute(url, env) },
+  { match: path("/benchmarks.json"), methods: GET, cors: true, json: true, handle: () => benchmarksRoute() },
+
+  { match: path("/advisories"), methods: GET, cors: true, json: true, handle: ({ url, env }) => advisoriesRoute(url, env) },
+  { match: path("/advisories/formula"), methods: POST, cors: true, json: true, handle: ({ request, env }) => formulaAdvisoriesRoute(request, env) },
+];
+
+export default {
+  fetch(request, env, ctx) {
+    return routeRequest(ROUTES, request, env, ctx);
   },
 };
@@ -0,0 +1,694 @@
+import { ORIGIN, CHANNELS } from "./release.js";
+
+// Where nb expects its tree (src/platform/paths.zig).
+const NB_ROOT = "/opt/nanobrew";
+
+// Lines the installer may add to a shell rc file, under a "# nanobrew" marker.
+// The uninstaller removes exactly these.
+const RC_MARKER = "# nanobrew";
+const RC_LINES = {
+  posixPath: `export PATH="${NB_ROOT}/prefix/bin:$PATH"`,
+  fishPath: `set -gx PATH ${NB_ROOT}/prefix/bin $PATH`,
+  bashCompletions: `[ -f ${NB_ROOT}/completions/nb.bash ] && . ${NB_ROOT}/completions/nb.bash`,
+  zshCompletions: `(( $+functions[compdef] )) && [ -f ${NB_ROOT}/completions/nb.zsh ] && . ${NB_ROOT}/completions/nb.zsh`,
+  fishCompletions: `test -f ${NB_ROOT}/completions/nb.fish; and source ${NB_ROOT}/completions/nb.fish`,
+};
+
+const PREFIX_RE = /^\/[A-Za-z0-9._-][A-Za-z0-9._\/-]*$/;
+
+// Packages to install right after nb itself (?packages=, ?deb=, ?cask=). Names
+// are rendered into the script, so only these characters get through.
+const PACKAGE_LISTS = {
+  packages: { re: /^([A-Za-z0-9-]+\/[A-Za-z0-9._-]+\/)?[A-Za-z0-9][A-Za-z0-9@._+-]*$/, what: "formula" },
+  deb: { re: /^[a-z0-9][a-z0-9.+-]*$/, what: "deb package" },
+  cask: { re: /^[a-z0-9][a-z0-9@._+-]*$/, what: "cask" },
+};
+const MAX_PACKAGES = 100;
+const TRUE_VALUES = ["1", "true", "yes"];
+
+// Reads a boolean query parameter such as ?yes=1.
+export function queryFlag(params, name) {
+  return TRUE_VALUES.includes((params.get(name) || "").toLowerCase());
+}
+
+// Reads a comma-separated package list such as ?packages=jq,steipete/tap/sag.
+// Returns { names } or { error, hint } for a name outside the allowed charset.
+function packageList(params, name) {
+  const { re, what } = PACKAGE_LISTS[name];
+  const names = [];
+  for (const value of params.getAll(name)) {
+    for (const pkg of value.split(/[\s,]+/)) {
+      if (!pkg || names.includes(pkg)) continue;
+      if (!re.test(pkg) || pkg.length > 200) {
+        return { error: "invalid " + what + " name: " + pkg, hint: "names may only use letters, digits and @ . _ + -, or user/tap/formula for taps" };
+      }
+      names.push(pkg);
+    }
+  }
+  if (names.length > MAX_PACKAGES) return { error: "too many packages in ?" + name + "=", hint: "install at most " + MAX_PACKAGES + " at once" };
+  return { names };
+}
+
+// Reads the ?prefix=, ?no-modify-path= and ?yes= options for containers and CI,
+// ?completions= to install shell completions, ?channel= for pre-releases and
+// ?packages=, ?deb= and ?cask= for packages to install straight after nb.
+// Returns { error, hint } for a prefix that isn't a plain absolute path, an
+// unknown channel or a bad package name, since all of them are rendered into
+// the script.
+export function parseInstallOptions(params) {
+  const prefix = params.get("prefix");
+  if (prefix && (!PREFIX_RE.test(prefix) || prefix.split("/").includes(".."))) {
+    return { error: "invalid prefix: " + prefix, hint: "use an absolute path like /usr/local/nanobrew" };
+  }
+  const channel = params.get("channel");
+  if (channel && !CHANNELS.includes(channel)) {
+    return { error: "invalid channel: " + channel, hint: "use one of " + CHANNELS.join(", ") };
+  }
+  const lists = {};
+  for (const name of Object.keys(PACKAGE_LISTS)) {
+    const list = packageList(params, name);
+    if (list.error) return list;
+    lists[name] = list.names;
+  }
+  return {
+    options: {
+      packages: lists.packages,
+      debs: lists.deb,
+      casks: lists.cask,
+      channel: channel || null,
+      prefix: prefix ? prefix.replace(/\/+$/, "") : null,
+      noModifyPath: queryFlag(params, "no-modify-path"),
+      yes: queryFlag(params, "yes"),
+      completions: queryFlag(params, "completions"),
+    },
+  };
+}
+
+// The release is resolved by the worker, so the script carries the concrete tag
+// plus the URL and SHA-256 of every tarball and never calls the GitHub API.
+function releaseBlock(release, checksums, pinned, channel, warnings) {
+  const cases = release.assets
+    .filter((a) => a.name.endsWith(".tar.gz") && checksums[a.name])
+    .sort((x, y) => x.name.localeCompare(y.name))
+    .map((a) => `    ${a.name})
+        URL="${a.url}"
+        EXPECTED_SHA256="${checksums[a.name]}"
+        ;;`)
+    .join("\n");
+  return `# Release (resolved by ${ORIGIN})
+LATEST="${release.tag_name}"
+echo "  ${pinned ? "Using pinned release" : "Found"} $LATEST${pinned || channel === "stable" ? "" : " (" + channel + " channel)"}"
+${warnings.map((w) => `echo ${shellQuote("  warning: " + release.tag_name + " is " + w)} >&2
+`).join("")}
+URL=""
+EXPECTED_SHA256=""
+case "$TARBALL" in
+${cases}
+esac
+if [ -z "$URL" ] || [ -z "$EXPECTED_SHA256" ]; then
+    echo "error: release $LATEST has no verified $TARBALL"
+    exit 1
+fi
+`;
+}
+
+export function renderInstallScript({ release, checksums, pinned = false, options = {}, warnings = [] }) {
+  const channel = options.channel || "stable";
+  return `#!/bin/bash
+set -euo pipefail
+
+# Query parameters set the defaults; NANOBREW_* env vars override them.
+INSTALL_DIR="\${NANOBREW_PREFIX:-${options.prefix || NB_ROOT}}"
+NO_MODIFY_PATH="\${NANOBREW_NO_MODIFY_PATH:-${options.noModifyPath ? 1 : 0}}"
+YES="\${NANOBREW_YES:-${options.yes ? 1 : 0}}"
+COMPLETIONS="\${NANOBREW_COMPLETIONS:-${options.completions ? 1 : 0}}"
+BIN_DIR="$INSTALL_DIR/prefix/bin"
+CHANNEL="${channel}"
+${pinned || options.channel ? "" : channelRedirect(packagesQuery(options))}
+# Run a command as root only when we must. With YES=1 sudo never prompts.
+as_root() {
+    if [ "$(id -u)" = "0" ]; then
+        "$@"
+    elif [ "$YES" = "1" ]; then
+        if ! sudo -n "$@" 2>/dev/null; then
+            echo "error: need root to run: $*"
+            echo "hint: run as root, or pick a writable prefix with ?prefix= or NANOBREW_PREFIX"
+            exit 1
+        fi
+    else
+        sudo "$@"
+    fi
+}
+
+# Like as_root, but returns non-zero instead of exiting when root is out of reach
+try_root() {
+    if [ "$(id -u)" = "0" ]; then
+        "$@"
+    elif [ "$YES" = "1" ]; then
+        sudo -n "$@" 2>/dev/null
+    else
+        sudo "$@"
+    fi
+}
+
+echo ""
+echo "  nanobrew — the fastest package manager"
+echo ""
+
+# Detect OS and architecture
+OS="$(uname -s)"
+ARCH="$(uname -m)"
+
+case "$OS" in
+    Darwin)
+        case "$ARCH" in
+            arm64|aarch64) TARBALL="nb-arm64-apple-darwin.tar.gz" ;;
+            x86_64)        TARBALL="nb-x86_64-apple-darwin.tar.gz" ;;
+            *) echo "error: unsupported architecture: $ARCH"; exit 1 ;;
+        esac
+        ;;
+    Linux)
+        case "$ARCH" in
+            aarch64) TARBALL="nb-aarch64-linux.tar.gz" ;;
+            x86_64)  TARBALL="nb-x86_64-linux.tar.gz" ;;
+            *) echo "error: unsupported architecture: $ARCH"; exit 1 ;;
+        esac
+        ;;
+    *)
+        echo "error: unsupported OS: $OS"
+        exit 1
+        ;;
+esac
+
+${releaseBlock(release, checksums, pinned, channel, warnings)}
+# Download binary
+echo "  Downloading $TARBALL..."
+TMPDIR_DL="$(mktemp -d)"
+trap 'rm -rf "$TMPDIR_DL"' EXIT
+
+curl -fsSL "$URL" -o "$TMPDIR_DL/$TARBALL"
+
+if command -v sha256sum >/dev/null 2>&1; then
+    ACTUAL_SHA256=$(sha256sum "$TMPDIR_DL/$TARBALL" | cut -d' ' -f1)
+else
+    ACTUAL_SHA256=$(shasum -a 256 "$TMPDIR_DL/$TARBALL" | cut -d' ' -f1)
+fi
+if [ "$ACTUAL_SHA256" != "$EXPECTED_SHA256" ]; then
+    echo "error: checksum mismatch for $TARBALL"
+    echo "  expected $EXPECTED_SHA256"
+    echo "  got      $ACTUAL_SHA256"
+    exit 1
+fi
+echo "  Verified SHA-256"
+
+tar -xzf "$TMPDIR_DL/$TARBALL" -C "$TMPDIR_DL"
+
+# Create directories
+echo "  Creating directories..."
+# A custom prefix is taken over (and later uninstalled) only when it is new,
+# empty or already holds nanobrew
+if [ "$INSTALL_DIR" != "${NB_ROOT}" ] && [ -d "$INSTALL_DIR" ] && [ ! -e "$INSTALL_DIR/prefix/bin/nb" ] \
+    && [ -n "$(ls -A "$INSTALL_DIR" 2>/dev/null || echo unreadable)" ]; then
+    echo "error: $INSTALL_DIR already exists and is not a nanobrew install"
+    echo "hint: pick a new or empty directory, like $INSTALL_DIR/nanobrew"
+    exit 1
+fi
+if ! mkdir -p "$INSTALL_DIR" 2>/dev/null || [ ! -w "$INSTALL_DIR" ]; then
+    as_root mkdir -p "$INSTALL_DIR"
+    as_root chown -R "$(whoami)" "$INSTALL_DIR"
+fi
+mkdir -p "$BIN_DIR" \\
+    "$INSTALL_DIR/cache/blobs" \\
+    "$INSTALL_DIR/cache/tmp" \\
+    "$INSTALL_DIR/cache/tokens" \\
+    "$INSTALL_DIR/cache/api" \\
+    "$INSTALL_DIR/prefix/Cellar" \\
+    "$INSTALL_DIR/store" \\
+    "$INSTALL_DIR/db"
+
+# Install binary
+cp "$TMPDIR_DL/nb" "$BIN_DIR/nb"
+chmod +x "$BIN_DIR/nb"
+echo "  Installed nb to $BIN_DIR/nb"
+${pinned ? "" : `
+# Remembered so \`nb update\` (which runs the plain installer) stays on it
+echo "$CHANNEL" > "$INSTALL_DIR/cache/channel"
+`}
+# nb's paths are compiled in, so a custom prefix is linked from ${NB_ROOT}.
+# Creating the link can need root, which a rootless install may not have:
+# then it is left to the user rather than failing the install.
+if [ "$INSTALL_DIR" != "${NB_ROOT}" ]; then
+    if [ -L "${NB_ROOT}" ] && [ "$(readlink "${NB_ROOT}")" = "$INSTALL_DIR" ]; then
+        echo "  Linked ${NB_ROOT} -> $INSTALL_DIR"
+    elif [ -e "${NB_ROOT}" ]; then
+        echo "error: ${NB_ROOT} already exists and is not a link to $INSTALL_DIR"
+        exit 1
+    elif ln -s "$INSTALL_DIR" "${NB_ROOT}" 2>/dev/null || try_root ln -s "$INSTALL_DIR" "${NB_ROOT}"; then
+        echo "  Linked ${NB_ROOT} -> $INSTALL_DIR"
+    else
+        echo "  warning: could not link ${NB_ROOT} -> $INSTALL_DIR without root" >&2
+        echo "  nb reads its files from ${NB_ROOT}; before using it, run:" >&2
+        echo "    sudo ln -s $INSTALL_DIR ${NB_ROOT}" >&2
+    fi
+fi
+
+# Add to PATH for the login shell ($SHELL), not the bash running this script
+LOGIN_SHELL="$(basename "\${SHELL:-sh}")"
+case "$LOGIN_SHELL" in
+    zsh)
+        SHELL_RC="\${ZDOTDIR:-$HOME}/.zshrc"
+        PATH_LINE=${shellQuote(RC_LINES.posixPath)}
+        COMPLETIONS_LINE=${shellQuote(RC_LINES.zshCompletions)}
+        ;;
+    bash)
+        # Terminal.app starts login shells, which read .bash_profile
+        if [ "$OS" = "Darwin" ]; then
+            SHELL_RC="$HOME/.bash_profile"
+        else
+            SHELL_RC="$HOME/.bashrc"
+        fi
+        PATH_LINE=${shellQuote(RC_LINES.posixPath)}
+        COMPLETIONS_LINE=${shellQuote(RC_LINES.bashCompletions)}
+        ;;
+    fish)
+        SHELL_RC="\${XDG_CONFIG_HOME:-$HOME/.config}/fish/config.fish"
+        PATH_LINE=${shellQuote(RC_LINES.fishPath)}
+        COMPLETIONS_LINE=${shellQuote(RC_LINES.fishCompletions)}
+        ;;
+    *)
+        LOGIN_SHELL="sh"
+        SHELL_RC="$HOME/.profile"
+        PATH_LINE=${shellQuote(RC_LINES.posixPath)}
+        COMPLETIONS_LINE=""
+        ;;
+esac
+
+# Appends a line to the rc file once, below the "${RC_MARKER}" marker
+add_rc_line() {
+    if grep -qxF "$1" "$SHELL_RC" 2>/dev/null; then
+        return
+    fi
+    if ! grep -qxF "${RC_MARKER}" "$SHELL_RC" 2>/dev/null; then
+        printf '\\n%s\\n' "${RC_MARKER}" >> "$SHELL_RC"
+    fi
+    printf '%s\\n' "$1" >> "$SHELL_RC"
+}
+
+# Completions come from the nb we just installed
+if [ "$COMPLETIONS" = "1" ] && [ -n "$COMPLETIONS_LINE" ]; then
+    mkdir -p "$INSTALL_DIR/completions"
+    "$BIN_DIR/nb" completions "$LOGIN_SHELL" > "$INSTALL_DIR/completions/nb.$LOGIN_SHELL"
+    echo "  Installed $LOGIN_SHELL completions"
+fi
+
+if [ "$NO_MODIFY_PATH" != "1" ]; then
+    mkdir -p "$(dirname "$SHELL_RC")"
+    add_rc_line "$PATH_LINE"
+    if [ "$COMPLETIONS" = "1" ] && [ -n "$COMPLETIONS_LINE" ]; then
+        add_rc_line "$COMPLETIONS_LINE"
+    fi
+    echo "  Updated $SHELL_RC"
+fi
+
+${packagesBlock(options)}
+echo ""
+echo "  Done! Run this to start using nanobrew:"
+echo ""
+echo "    $PATH_LINE"
+echo ""${hasPackages(options) ? "" : `
+echo "  Then:"
+echo ""
+echo "    nb install ffmpeg"
+echo ""`}
+`;
+}
+
+function hasPackages(options) {
+  return ["packages", "debs", "casks"].some((key) => options[key] && options[key].length > 0);
+}
+
+// Installs the ?packages=, ?deb= and ?cask= lists with the nb just installed.
+// .debs only exist on Linux and casks on macOS, so the other OS skips them.
+// stdin is the script itself under \`curl | bash\`, so nb doesn't get it.
+function packagesBlock(options) {
+  if (!hasPackages(options)) return "";
+  const args = (names) => names.map(shellQuote).join(" ");
+  const lines = ["# Packages requested with the install URL"];
+  if (options.packages && options.packages.length > 0) {
+    lines.push(`echo ""`, `"$BIN_DIR/nb" install ${args(options.packages)} </dev/null`);
+  }
+  if (options.debs && options.debs.length > 0) {
+    lines.push(`echo ""`, `if [ "$OS" = "Linux" ]; then
+    "$BIN_DIR/nb" install --deb ${args(options.debs)} </dev/null
+else
+    echo "  Skipping .deb packages on $OS: ${options.debs.join(" ")}"
+fi`);
+  }
+  if (options.casks && options.casks.length > 0) {
+    lines.push(`echo ""`, `if [ "$OS" = "Darwin" ]; then
+    "$BIN_DIR/nb" install --cask ${args(options.casks)} </dev/null
+else
+    echo "  Skipping casks on $OS: ${options.casks.join(" ")}"
+fi`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Query string that carries the package lists over to another install URL.
+function packagesQuery(options) {
+  const params = new URLSearchParams();
+  if (options.packages && options.packages.length > 0) params.set("packages", options.packages.join(","));
+  if (options.debs && options.debs.length > 0) params.set("deb", options.debs.join(","));
+  if (options.casks && options.casks.length > 0) params.set("cask", options.casks.join(","));
+  const query = params.toString();
+  return query ? "&" + query : "";
+}
+
+// The plain /install script is what \`nb update\` runs. When an earlier install
+// chose a pre-release channel (or NANOBREW_CHANNEL asks for one), hand over to
+// that channel's script with the same options and packages.
+function channelRedirect(extraQuery) {
+  return `
+SAVED_CHANNEL="$(cat "$INSTALL_DIR/cache/channel" 2>/dev/null || true)"
+case "\${NANOBREW_CHANNEL:-$SAVED_CHANNEL}" in
+    beta|nightly)
+        CHANNEL="\${NANOBREW_CHANNEL:-$SAVED_CHANNEL}"
+        echo "  Following the $CHANNEL channel"
+        export NANOBREW_PREFIX="$INSTALL_DIR" NANOBREW_NO_MODIFY_PATH="$NO_MODIFY_PATH" \\
+            NANOBREW_YES="$YES" NANOBREW_COMPLETIONS="$COMPLETIONS"
+        curl -fsSL "${ORIGIN}/install?channel=$CHANNEL${extraQuery}" | bash
+        exit
+        ;;
+esac
+`;
+}
+
+// Mirrors the installer: removes what it created under ${NB_ROOT} (or the
+// custom prefix it links to), then that directory and the link only if nothing
+// else is left in it, and exactly the rc lines the installer appended. Dry-run
+// unless --yes is passed: `curl -fsSL .../uninstall | bash -s -- --yes`.
+export function renderUninstallScript({ yes = false, keepCache = false } = {}) {
+  return `#!/bin/bash
+set -euo pipefail
+
+NB_ROOT="${NB_ROOT}"
+DRY_RUN="${yes ? 0 : 1}"
+KEEP_CACHE="${keepCache ? 1 : 0}"
+
+for arg in "$@"; do
+    case "$arg" in
+        --yes|-y)     DRY_RUN=0 ;;
+        --keep-cache) KEEP_CACHE=1 ;;
+        *) echo "error: unknown option: $arg"; echo "usage: bash -s -- [--yes] [--keep-cache]"; exit 1 ;;
+    esac
+done
+
+# Run a command as root only when we must
+as_root() {
+    if [ "$(id -u)" = "0" ]; then
+        "$@"
+    else
+        sudo "$@"
+    fi
+}
+
+remove() {
+    if [ "$DRY_RUN" = "1" ]; then
+        echo "    would remove $1"
+    else
+        echo "    removing $1"
+        rm -rf "$1" 2>/dev/null || as_root rm -rf "$1"
+    fi
+}
+
+# For the install directory and the ${NB_ROOT} link, which are never removed
+# recursively: a custom prefix may be shared with other files
+remove_empty() {
+    if [ "$DRY_RUN" = "1" ]; then
+        echo "    would remove $1"
+    else
+        echo "    removing $1"
+        if [ -L "$1" ]; then
+            rm -f "$1" 2>/dev/null || as_root rm -f "$1"
+        else
+            rmdir "$1" 2>/dev/null || as_root rmdir "$1"
+        fi
+    fi
+}
+
+# What the installer creates in the install directory
+NB_ENTRIES="prefix cache store db completions"
+
+# True when the install directory holds anything the uninstall leaves behind
+has_other_files() {
+    for entry in "$1"/* "$1"/.[!.]* "$1"/..?*; do
+        [ -e "$entry" ] || [ -L "$entry" ] || continue
+        name="$(basename "$entry")"
+        if [ "$name" = "cache" ] && [ "$KEEP_CACHE" = "1" ]; then
+            return 0
+        fi
+        case " $NB_ENTRIES " in
+            *" $name "*) ;;
+            *) return 0 ;;
+        esac
+    done
+    return 1
+}
+
+# Every line the installer can write, one per line
+RC_LINES=${shellQuote([RC_MARKER, ...Object.values(RC_LINES)].join("\n"))}
+
+# Drops the installer's lines and the blank line it wrote before the
+# "${RC_MARKER}" marker. Anything else in the file is left alone.
+strip_rc() {
+    NB_RC_LINES="$RC_LINES" awk '
+        BEGIN {
+            count = split(ENVIRON["NB_RC_LINES"], known_lines, "\\n")
+            for (i = 1; i <= count; i++) known[known_lines[i]] = 1
+        }
+        { lines[NR] = $0 }
+        END {
+            n = 0
+            for (i = 1; i <= NR; i++) {
+                if (lines[i] in known) {
+                    if (lines[i] == "${RC_MARKER}" && n > 0 && kept[n] == "") n--
+                    continue
+                }
+                kept[++n] = lines[i]
+            }
+            for (i = 1; i <= n; i++) print kept[i]
+        }' "$1"
+}
+
+echo ""
+echo "  nanobrew uninstaller"
+echo ""
+
+if [ -L "$NB_ROOT" ]; then
+    INSTALL_DIR="$(readlink "$NB_ROOT")"
+else
+    INSTALL_DIR="$NB_ROOT"
+fi
+
+if [ "$DRY_RUN" = "1" ]; then
+    echo "  Dry run — nothing will be changed."
+    echo ""
+fi
+
+echo "  Files:"
+if [ -d "$INSTALL_DIR" ]; then
+    for name in $NB_ENTRIES; do
+        [ -e "$INSTALL_DIR/$name" ] || continue
+        if [ "$name" = "cache" ] && [ "$KEEP_CACHE" = "1" ]; then
+            echo "    keeping $INSTALL_DIR/cache"
+            continue
+        fi
+        remove "$INSTALL_DIR/$name"
+    done
+    if has_other_files "$INSTALL_DIR"; then
+        echo "    keeping $INSTALL_DIR, which has other files"
+    else
+        remove_empty "$INSTALL_DIR"
+    fi
+    if [ "$INSTALL_DIR" != "$NB_ROOT" ] && [ "$KEEP_CACHE" != "1" ]; then
+        remove_empty "$NB_ROOT"
+    fi
+else
+    echo "    $NB_ROOT not found"
+fi
+if [ -f "$HOME/.local/bin/nb" ]; then
+    remove "$HOME/.local/bin/nb"
+fi
+
+echo ""
+echo "  Shell config:"
+FOUND_RC=0
+for rc in "$HOME/.bashrc" "$HOME/.bash_profile" "\${ZDOTDIR:-$HOME}/.zshrc" "$HOME/.profile" \\
+    "\${XDG_CONFIG_HOME:-$HOME/.config}/fish/config.fish"; do
+    [ -f "$rc" ] || continue
+    if strip_rc "$rc" | cmp -s - "$rc"; then
+        continue
+    fi
+    FOUND_RC=1
+    if [ "$DRY_RUN" = "1" ]; then
+        echo "    would remove the nanobrew lines from $rc"
+    else
+        TMP_RC="$(mktemp)"
+        strip_rc "$rc" > "$TMP_RC"
+        cat "$TMP_RC" > "$rc"
+        rm -f "$TMP_RC"
+        echo "    removed the nanobrew lines from $rc"
+    fi
+done
+if [ "$FOUND_RC" = "0" ]; then
+    echo "    no nanobrew lines found"
+fi
+
+echo ""
+if [ "$DRY_RUN" = "1" ]; then
+    echo "  Re-run with --yes to uninstall:"
+    echo ""
+    echo "    curl -fsSL ${ORIGIN}/uninstall | bash -s -- --yes"
+else
+    echo "  nanobrew has been removed."
+fi
+echo ""
+`;
+}
+
+// For `irm nanobrew.trilok.ai | iex`. PowerShell on macOS/Linux hands over to
+// the bash installer; on Windows nanobrew lives inside WSL, so the script runs
+// the Linux installer there. Wrapped in a function so a failure can `return`
+// without closing the user's PowerShell session.
+export function renderPowerShellScript(installUrl) {
+  // Quoted once for bash and once more for PowerShell, so the URL is never
+  // interpolated inside either language's double quotes
+  const bashCommand = "curl -fsSL " + shellQuote(installUrl) + " | bash";
+  return `# nanobrew installer for PowerShell
+function Install-Nanobrew {
+    $BashCommand = ${powerShellQuote(bashCommand)}
+
+    Write-Host ''
+    Write-Host '  nanobrew - the fastest package manager'
+    Write-Host ''
+
+    if ($PSVersionTable.PSEdition -eq 'Core' -and -not $IsWindows) {
+        & /bin/bash -c $BashCommand
+        return
+    }
+
+    Write-Host '  nanobrew runs on macOS and Linux. On Windows it installs inside WSL.'
+    Write-Host ''
+    if (-not (Get-Command wsl.exe -ErrorAction SilentlyContinue)) {
+        Write-Host '  WSL is not installed. From an elevated PowerShell, run:'
+        Write-Host ''
+        Write-Host '    wsl --install'
+        Write-Host ''
+        Write-Host '  then restart Windows and run this command again.'
+        return
+    }
+    & wsl.exe -e true 2>$null
+    if ($LASTEXITCODE -ne 0) {
+        Write-Host '  WSL has no Linux distribution yet. Install one with:'
+        Write-Host ''
+        Write-Host '    wsl --install -d Ubuntu'
+        Write-Host ''
+        Write-Host '  then run this command again.'
+        return
+    }
+
+    Write-Host '  Running the Linux installer inside WSL...'
+    & wsl.exe -e bash -c $BashCommand
+    if ($LASTEXITCODE -ne 0) {
+        Write-Host '  error: the installer failed inside WSL' -ForegroundColor Red
+        return
+    }
+    Write-Host ''
+    Write-Host '  Open WSL with "wsl" and run:'
+    Write-Host ''
+    Write-Host '    nb install ffmpeg'
+    Write-Host ''
+}
+
+Install-Nanobrew
+`;
+}
+
+// curl/wget from Git Bash, MSYS2 or Cygwin: run the real installer in WSL.
+export function renderWindowsShellScript(installUrl) {
+  return `#!/bin/bash
+set -euo pipefail
+
+echo ""
+echo "  nanobrew runs on macOS and Linux. On Windows it installs inside WSL."
+echo ""
+if ! command -v wsl.exe >/dev/null 2>&1; then
+    echo "  WSL is not installed. From an elevated PowerShell, run:"
+    echo ""
+    echo "    wsl --install"
+    echo ""
+    echo "  then restart Windows and run this command again."
+    exit 1
+fi
+
+echo "  Running the Linux installer inside WSL..."
+wsl.exe -e bash -c ${shellQuote("curl -fsSL " + shellQuote(installUrl) + " | bash")}
+`;
+}
+
+// /bundle/:id/install: installs nanobrew first when it's missing (with the
+// same options as /install), then runs \`nb bundle install\` on the shared file.
+export function renderBundleInstallScript({ id, bundleUrl, installUrl, formulas, casks }) {
+  return `#!/bin/bash
+set -euo pipefail
+
+echo ""
+echo "  nanobrew bundle ${id}: ${formulas} formulas, ${casks} casks"
+echo ""
+
+if command -v nb >/dev/null 2>&1; then
+    NB="$(command -v nb)"
+elif [ -x "${NB_ROOT}/prefix/bin/nb" ]; then
+    NB="${NB_ROOT}/prefix/bin/nb"
+else
+    echo "  nanobrew is not installed yet, installing it first..."
+    curl -fsSL ${shellQuote(installUrl)} | bash
+    NB="${NB_ROOT}/prefix/bin/nb"
+fi
+
+TMPDIR_BUNDLE="$(mktemp -d)"
+trap 'rm -rf "$TMPDIR_BUNDLE"' EXIT
+curl -fsSL ${shellQuote(bundleUrl)} -o "$TMPDIR_BUNDLE/Nanobrew"
+
+"$NB" bundle install "$TMPDIR_BUNDLE/Nanobrew"
+`;
+}
+
+// Single-quotes a value for safe interpolation into a shell script.
+export function shellQuote(value) {
+  return "'" + String(value).replace(/'/g, "'\\''") + "'";
+}
+
+// PowerShell single quotes only end at a quote (curly ones included), which
+// doubling escapes.
+export function powerShellQuote(value) {
+  return "'" + String(value).replace(/['\u2018\u2019\u201a\u201b]/g, "$&$&") + "'";
+}
+
+// A script that only reports an error, so `curl ... | bash` fails loudly
+// instead of piping an HTML page or an empty body into the shell.
+export function errorScript(message, hint) {
+  const lines = ["#!/bin/bash", "echo " + shellQuote("error: " + message) + " >&2"];
+  if (hint) lines.push("echo " + shellQuote("hint: " + hint) + " >&2");
+  lines.push("exit 1", "");
+  return lines.join("\n");
+}
+
+// The same for `irm … | iex`. It only prints, since `exit` would close the
+// user's PowerShell session.
+export function powerShellErrorScript(message, hint) {
+  const lines = ["Write-Host " + powerShellQuote("error: " + message) + " -ForegroundColor Red"];
+  if (hint) lines.push("Write-Host " + powerShellQuote("hint: " + hint));
+  lines.push("");
+  return lines.join("\n");
+}
@@ -0,0 +1,213 @@
+import { jsonResponse } from "./http.js";
+
+// Known vulnerabilities for installed packages, matched against an OSV-format
+// dataset (https://ossf.github.io/osv-schema/) stored under the "osv" key of
+// the ADVISORY_DB KV namespace. Without it the route answers 503 rather than
+// reporting every package as clean.
+
+const MAX_BODY_BYTES = 512 * 1024;
+const MAX_PACKAGES = 2000;
+const KV_RELOAD_MS = 300 * 1000;
+
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9@._+\/-]{0,199}$/;
+const VERSION_RE = /^[A-Za-z0-9.+~:_-]{1,100}$/;
+
+// OSV ecosystems each nb package source is looked up in. Homebrew isn't an
+// official OSV ecosystem; our dataset uses "Homebrew" for formulae.
+const SOURCES = {
+  brew: (ecosystem) => ecosystem === "Homebrew",
+  deb: (ecosystem) => /^(Debian|Ubuntu)(:|$)/.test(ecosystem),
+};
+
+// { source, loadedAt, byName: Map("<source>:<name>" → [{ vuln, affected }]) }
+let dataset = null;
+
+function indexDataset(vulns, source) {
+  const byName = new Map();
+  for (const vuln of Array.isArray(vulns) ? vulns : []) {
+    for (const affected of vuln.affected || []) {
+      const pkg = affected.package || {};
+      for (const [name, matches] of Object.entries(SOURCES)) {
+        if (!pkg.name || !matches(pkg.ecosystem || "")) continue;
+        const key = name + ":" + pkg.name;
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push({ vuln, affected });
+      }
+    }
+  }
+  return { source, loadedAt: Date.now(), count: Array.isArray(vulns) ? vulns.length : 0, byName };
+}
+
+// Returns null while the namespace has no "osv" key.
+async function loadDataset(env) {
+  if (dataset && Date.now() - dataset.loadedAt < KV_RELOAD_MS) return dataset;
+  const vulns = await env.ADVISORY_DB.get("osv", "json");
+  dataset = Array.isArray(vulns) ? indexDataset(vulns, "kv") : null;
+  return dataset;
+}
+
+// dpkg's version ordering (epoch:upstream-revision, `~` sorts before
+// everything). Homebrew versions compare well with it too once the `_1`
+// revision suffix is dropped.
+function isDigit(c) {
+  return c >= "0" && c <= "9";
+}
+
+function charOrder(c) {
+  if (c === undefined || isDigit(c)) return 0;
+  if (c === "~") return -1;
+  if (/[A-Za-z]/.test(c)) return c.charCodeAt(0);
+  return c.charCodeAt(0) + 256;
+}
+
+function compareFragment(a, b) {
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    while ((i < a.length && !isDigit(a[i])) || (j < b.length && !isDigit(b[j]))) {
+      const diff = charOrder(a[i]) - charOrder(b[j]);
+      if (diff !== 0) return diff;
+      i++;
+      j++;
+    }
+    while (a[i] === "0") i++;
+    while (b[j] === "0") j++;
+    let firstDiff = 0;
+    while (isDigit(a[i]) && isDigit(b[j])) {
+      if (!firstDiff) firstDiff = a.charCodeAt(i) - b.charCodeAt(j);
+      i++;
+      j++;
+    }
+    if (isDigit(a[i])) return 1;
+    if (isDigit(b[j])) return -1;
+    if (firstDiff) return firstDiff;
+  }
+  return 0;
+}
+
+function splitDebVersion(version) {
+  const epoch = version.match(/^(\d+):/);
+  const rest = epoch ? version.slice(epoch[0].length) : version;
+  const dash = rest.lastIndexOf("-");
+  return {
+    epoch: epoch ? Number(epoch[1]) : 0,
+    upstream: dash >= 0 ? rest.slice(0, dash) : rest,
+    revision: dash >= 0 ? rest.slice(dash + 1) : "",
+  };
+}
+
+export function compareDebVersions(a, b) {
+  const x = splitDebVersion(a);
+  const y = splitDebVersion(b);
+  if (x.epoch !== y.epoch) return x.epoch - y.epoch;
+  return compareFragment(x.upstream, y.upstream) || compareFragment(x.revision, y.revision);
+}
+
+function compareFor(source) {
+  if (source === "deb") return compareDebVersions;
+  return (a, b) => compareFragment(a.replace(/_\d+$/, ""), b.replace(/_\d+$/, ""));
+}
+
+// An explicit version list or an ECOSYSTEM/SEMVER range, evaluated the way the
+// OSV spec describes: walk the events in version order, toggling "affected".
+function affects(affected, version, compare) {
+  if ((affected.versions || []).includes(version)) return { fixed: null };
+  for (const range of affected.ranges || []) {
+    if (range.type !== "ECOSYSTEM" && range.type !== "SEMVER") continue;
+    const eventVersion = (e) => e.introduced || e.fixed || e.last_affected || "0";
+    const events = [...(range.events || [])].sort((x, y) =>
+      x.introduced === "0" ? -1 : y.introduced === "0" ? 1 : compare(eventVersion(x), eventVersion(y)));
+    let vulnerable = false;
+    for (const e of events) {
+      if (e.introduced !== undefined && (e.introduced === "0" || compare(version, e.introduced) >= 0)) vulnerable = true;
+      else if (e.fixed !== undefined && compare(version, e.fixed) >= 0) vulnerable = false;
+      else if (e.last_affected !== undefined && compare(version, e.last_affected) > 0) vulnerable = false;
+    }
+    if (vulnerable) {
+      const fixed = events.find((e) => e.fixed !== undefined && compare(e.fixed, version) > 0);
+      return { fixed: fixed ? fixed.fixed : null };
+    }
+  }
+  return null;
+}
+
+function summarize(vuln, fixed) {
+  const reference = (vuln.references || []).find((r) => r.type === "ADVISORY") || (vuln.references || [])[0];
+  const severity = vuln.database_specific && vuln.database_specific.severity;
+  return {
+    id: vuln.id,
+    aliases: vuln.aliases || [],
+    summary: vuln.summary || (vuln.details || "").split("\n")[0],
+    severity: severity ? String(severity).toLowerCase() : null,
+    fixed,
+    url: reference ? reference.url : "https://osv.dev/vulnerability/" + vuln.id,
+  };
+}
+
+// Validates the batch; returns { packages } or { error }.
+function parseBatch(body) {
+  const list = Array.isArray(body) ? body : body && body.packages;
+  if (!Array.isArray(list) || list.length === 0) return { error: "expected a JSON list of {name, version, source}" };
+  if (list.length > MAX_PACKAGES) return { error: "at most " + MAX_PACKAGES + " packages per request" };
+
+  const packages = [];
+  for (const entry of list) {
+    const name = entry && entry.name;
+    const version = entry && entry.version;
+    const source = (entry && entry.source) || "brew";
+    if (!NAME_RE.test(name || "")) return { error: "invalid package name: " + JSON.stringify(name) };
+    if (!VERSION_RE.test(version || "")) return { error: "invalid version for " + name + ": " + JSON.stringify(version) };
+    if (!SOURCES[source]) return { error: "source must be brew or deb, not " + JSON.stringify(source) };
+    packages.push({ name, version, source });
+  }
+  return { packages };
+}
+
+// POST /advisories/formula with [{ name, version, source: "brew" | "deb" }]
+// (or { packages: [...] }). Answers with the packages that have advisories.
+export async function formulaAdvisoriesRoute(request, env) {
+  if (!env.ADVISORY_DB) {
+    return jsonResponse({ error: "vulnerability advisories are not configured on this server" }, 503, "no-store");
+  }
+  if (Number(request.headers.get("content-length")) > MAX_BODY_BYTES) {
+    return jsonResponse({ error: "request body over " + MAX_BODY_BYTES + " bytes" }, 413, "no-store");
+  }
+
+  let body;
+  try {
+    const text = await request.text();
+    if (text.length > MAX_BODY_BYTES) {
+      return jsonResponse({ error: "request body over " + MAX_BODY_BYTES + " bytes" }, 413, "no-store");
+    }
+    body = JSON.parse(text);
+  } catch {
+    return jsonResponse({ error: "request body is not valid JSON" }, 400, "no-store");
+  }
+  const { packages, error } = parseBatch(body);
+  if (error) return jsonResponse({ error }, 400, "no-store");
+
+  let db;
+  try {
+    db = await loadDataset(env);
+  } catch {
+    db = null;
+  }
+  if (!db) return jsonResponse({ error: "advisory dataset unavailable, try again shortly" }, 503, "no-store");
+
+  const results = [];
+  for (const pkg of packages) {
+    const compare = compareFor(pkg.source);
+    const advisories = [];
+    for (const { vuln, affected } of db.byName.get(pkg.source + ":" + pkg.name) || []) {
+      const match = affects(affected, pkg.version, compare);
+      if (match && !advisories.some((a) => a.id === vuln.id)) advisories.push(summarize(vuln, match.fixed));
+    }
+    if (advisories.length > 0) results.push({ ...pkg, advisories });
+  }
+
+  return jsonResponse({
+    checked: packages.length,
+    dataset: { source: db.source, advisories: db.count },
+    results,
+  }, 200, "no-store");
+}
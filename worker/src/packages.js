@@ -0,0 +1,372 @@
+import { ORIGIN } from "./release.js";
+import { fetchBrewJSON } from "./brew.js";
+import { fetchDebIndex } from "./deb.js";
+import { fetchTapFormula, parseRubyFormula } from "./tap.js";
+import { htmlResponse } from "./http.js";
+import { COPY_SCRIPT, escapeHtml, renderPage } from "./html.js";
+
+// Shareable package pages: /p/ffmpeg, /p/cask/firefox, /p/deb/curl and
+// /p/steipete/tap/sag, rendered from the same cached upstream metadata the
+// /api, /deb and /tap mirrors serve to nb.
+
+const PAGE_TTL = 300;
+
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9@._+-]*$/;
+const DEB_NAME_RE = /^[a-z0-9][a-z0-9.+-]*$/;
+const TAP_USER_RE = /^[A-Za-z0-9-]+$/;
+const TAP_RE = /^[A-Za-z0-9._-]+$/;
+
+// The suite `nb install --deb` resolves against (src/main.zig), for both
+// architectures nb ships for Linux.
+const DEB_SUITE = { distro: "ubuntu", suite: "noble", component: "main", label: "Ubuntu 24.04 (noble/main)" };
+const DEB_ARCHS = ["amd64", "arm64"];
+
+const MACOS_NAMES = {
+  tahoe: "Tahoe",
+  sequoia: "Sequoia",
+  sonoma: "Sonoma",
+  ventura: "Ventura",
+  monterey: "Monterey",
+  big_sur: "Big Sur",
+  catalina: "Catalina",
+};
+
+const PAGE_CSS = `
+  /* ── Package ── */
+  .pkg {
+    padding: 5rem 0 3.5rem;
+  }
+  .pkg .kind {
+    font-size: 0.78rem;
+    color: var(--dim);
+    text-transform: uppercase;
+    letter-spacing: 0.08em;
+    margin-bottom: 0.75rem;
+  }
+  .pkg h1 {
+    font-family: var(--fd);
+    font-weight: 800;
+    font-size: clamp(2.4rem, 7vw, 4rem);
+    color: var(--bright);
+    letter-spacing: -0.03em;
+    line-height: 1;
+    margin-bottom: 1rem;
+    word-break: break-word;
+    animation: fadeUp 0.7s ease-out both;
+  }
+  .pkg .sub {
+    font-size: 1rem;
+    color: var(--muted);
+    margin-bottom: 2.25rem;
+    animation: fadeUp 0.7s ease-out 0.08s both;
+  }
+  .pkg .sub a { color: var(--gold); }
+  .pkg .install { margin-bottom: 0.75rem; }
+  .pkg .install.small { font-size: 0.76rem; animation-delay: 0.22s; }
+  .pkg .note {
+    font-size: 0.78rem;
+    color: var(--dim);
+  }
+  .facts {
+    padding: 3rem 0 4rem;
+    border-top: 1px solid var(--border);
+  }
+  .facts dl {
+    display: grid;
+    grid-template-columns: 9rem 1fr;
+    gap: 0.6rem 1rem;
+    font-size: 0.85rem;
+    margin-bottom: 2.5rem;
+  }
+  .facts dt { color: var(--dim); }
+  .facts dd { color: var(--text); word-break: break-word; }
+  .facts a { color: var(--gold); text-decoration: none; }
+  .facts a:hover { text-decoration: underline; }
+  .facts h2 {
+    font-family: var(--fd);
+    font-weight: 700;
+    font-size: 1.1rem;
+    color: var(--bright);
+    margin-bottom: 0.75rem;
+  }
+  .facts ul {
+    list-style: none;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+    margin-bottom: 2rem;
+  }
+  .facts li {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    padding: 0.3rem 0.65rem;
+    font-size: 0.8rem;
+  }
+  .facts li span { color: var(--dim); }
+  .facts .none {
+    font-size: 0.8rem;
+    color: var(--dim);
+    margin-bottom: 2rem;
+  }
+  .facts .src {
+    font-size: 0.75rem;
+    color: var(--dim);
+  }
+  @media (max-width: 768px) {
+    .pkg { padding: 3.5rem 0 2.5rem; }
+    .pkg .install { width: 100%; font-size: 0.78rem; gap: 0.6rem; }
+    .facts dl { grid-template-columns: 1fr; gap: 0.2rem; }
+    .facts dd { margin-bottom: 0.6rem; }
+  }
+`;
+
+// /p/:formula, /p/cask/:token, /p/deb/:name, /p/:user/:tap/:formula
+export async function packageRoute(url, ctx) {
+  let parts;
+  try {
+    parts = url.pathname.slice("/p/".length).split("/").map(decodeURIComponent);
+  } catch {
+    parts = [];
+  }
+
+  let result;
+  if (parts.length === 1 && NAME_RE.test(parts[0])) {
+    result = await formulaPackage(parts[0], ctx);
+  } else if (parts.length === 2 && parts[0] === "cask" && NAME_RE.test(parts[1])) {
+    result = await caskPackage(parts[1], ctx);
+  } else if (parts.length === 2 && parts[0] === "deb" && DEB_NAME_RE.test(parts[1])) {
+    result = await debPackage(parts[1], ctx);
+  } else if (parts.length === 3 && TAP_USER_RE.test(parts[0]) && TAP_RE.test(parts[1]) && NAME_RE.test(parts[2])) {
+    result = await tapPackage(parts[0], parts[1], parts[2], ctx);
+  } else {
+    result = { status: 404 };
+  }
+
+  if (result.status === 404) {
+    return htmlResponse(renderMessage("Package not found", "No package at " + url.pathname + "."), 404, "public, max-age=60");
+  }
+  if (!result.pkg) {
+    return htmlResponse(renderMessage("Try again shortly", "The package metadata could not be fetched from upstream."), 502, "no-store");
+  }
+
+  const resp = htmlResponse(renderPackage(result.pkg), 200, "public, max-age=" + (result.cache === "STALE" ? 60 : PAGE_TTL));
+  resp.headers.set("x-nanobrew-cache", result.cache);
+  if (result.cache === "STALE") resp.headers.set("x-nanobrew-stale", "1");
+  return resp;
+}
+
+// Each loader returns { pkg, cache } or { status }. pkg is
+// { kind, name, version, desc, facts, dependencies, buildDependencies,
+// platforms, command, query, source }; dependencies are { name, href, note }.
+
+async function formulaPackage(name, ctx) {
+  const result = await fetchBrewJSON("/api/formula/" + name + ".json", PAGE_TTL, ctx);
+  if (!result.response) return { status: result.status };
+  const f = await result.response.json();
+
+  const stable = (f.versions && f.versions.stable) || "";
+  const files = (f.bottle && f.bottle.stable && f.bottle.stable.files) || {};
+  return {
+    cache: result.cache,
+    pkg: {
+      kind: "formula",
+      name: f.name,
+      version: stable + (f.revision ? "_" + f.revision : ""),
+      desc: f.desc || "",
+      facts: [["License", f.license], ["Homepage", f.homepage && link(f.homepage)]],
+      dependencies: (f.dependencies || []).map(formulaDep),
+      buildDependencies: (f.build_dependencies || []).map(formulaDep),
+      platforms: Object.keys(files).map((tag) => ({ label: bottlePlatform(tag), note: "bottle" })),
+      command: "nb install " + f.name,
+      query: "packages=" + f.name,
+      source: { label: "formulae.brew.sh", href: "https://formulae.brew.sh/formula/" + f.name },
+    },
+  };
+}
+
+async function caskPackage(token, ctx) {
+  const result = await fetchBrewJSON("/api/cask/" + token + ".json", PAGE_TTL, ctx);
+  if (!result.response) return { status: result.status };
+  const c = await result.response.json();
+
+  const dependsOn = c.depends_on || {};
+  const macos = dependsOn.macos && Object.entries(dependsOn.macos)[0];
+  const platform = macos
+    ? "macOS " + macos[0] + " " + [].concat(macos[1]).map((v) => MACOS_NAMES[v.replace(/^:/, "")] || v).join(", ")
+    : "macOS";
+  return {
+    cache: result.cache,
+    pkg: {
+      kind: "cask",
+      name: c.token,
+      version: c.version || "",
+      desc: c.desc || (c.name || [])[0] || "",
+      facts: [["Name", (c.name || []).join(", ")], ["Homepage", c.homepage && link(c.homepage)]],
+      dependencies: [].concat(dependsOn.formula || []).map(formulaDep),
+      buildDependencies: [],
+      platforms: [{ label: platform, note: c.auto_updates ? "auto-updates" : "" }],
+      command: "nb install --cask " + c.token,
+      query: "cask=" + c.token,
+      source: { label: "formulae.brew.sh", href: "https://formulae.brew.sh/cask/" + c.token },
+    },
+  };
+}
+
+async function debPackage(name, ctx) {
+  const { distro, suite, component, label } = DEB_SUITE;
+  const indices = await Promise.all(DEB_ARCHS.map((arch) => fetchDebIndex(distro, suite, component, arch, ctx)));
+  if (indices.some((index) => !index.packages)) return { status: 502 };
+
+  const found = DEB_ARCHS
+    .map((arch, i) => ({ arch, entry: indices[i].packages[name] }))
+    .filter((a) => a.entry);
+  if (found.length === 0) return { status: 404 };
+
+  const entry = found[0].entry;
+  return {
+    cache: indices.some((index) => index.cache === "STALE") ? "STALE" : indices[0].cache,
+    pkg: {
+      kind: "deb · " + label,
+      name,
+      version: entry.version,
+      desc: "",
+      facts: [["Suite", label]],
+      // "libc6 (>= 2.34), libssl3t64 | libssl3" → one chip per alternative group
+      dependencies: entry.depends.split(",").map((d) => d.trim()).filter(Boolean).map((d) => {
+        const first = d.split(/[\s(|]/)[0];
+        return { name: d, href: DEB_NAME_RE.test(first) ? "/p/deb/" + first : null, note: "" };
+      }),
+      buildDependencies: [],
+      platforms: found.map((a) => ({ label: "Linux " + a.arch, note: formatSize(a.entry.size) })),
+      command: "nb install --deb " + name,
+      query: "deb=" + name,
+      source: { label: "packages.ubuntu.com", href: "https://packages.ubuntu.com/" + suite + "/" + name },
+    },
+  };
+}
+
+async function tapPackage(user, tap, formula, ctx) {
+  const result = await fetchTapFormula(user, tap, formula, ctx);
+  if (!result.response) return { status: result.status };
+  const path = result.response.headers.get("x-tap-path");
+  const f = parseRubyFormula(formula, await result.response.text());
+  if (!f) return { status: 502 };
+
+  // Platform blocks contribute their deps with a note saying where they apply
+  const deps = (key) => [
+    ...f[key].map(formulaDep),
+    ...["on_macos", "on_linux", "on_arm", "on_intel"].flatMap((platform) =>
+      f[platform] ? f[platform][key].map((d) => ({ ...formulaDep(d), note: platform.slice(3) })) : []),
+  ];
+  const ref = user + "/" + tap + "/" + formula;
+  return {
+    cache: result.cache,
+    pkg: {
+      kind: "tap · " + user + "/" + tap,
+      name: formula,
+      version: f.version,
+      desc: f.desc,
+      facts: [["Tap", link("https://github.com/" + user + "/homebrew-" + tap, user + "/" + tap)]],
+      dependencies: deps("dependencies"),
+      buildDependencies: deps("build_dependencies"),
+      platforms: Object.keys((f.bottle && f.bottle.files) || {}).map((tag) => ({ label: bottlePlatform(tag), note: "bottle" })),
+      command: "nb install " + ref,
+      query: "packages=" + ref,
+      source: { label: user + "/homebrew-" + tap, href: "https://github.com/" + user + "/homebrew-" + tap + "/blob/HEAD/" + path },
+    },
+  };
+}
+
+// Dependencies are core formulae or full tap refs, both of which have pages.
+function formulaDep(name) {
+  return { name, href: "/p/" + name, note: "" };
+}
+
+// arm64_sequoia → macOS Sequoia arm64, x86_64_linux → Linux x86_64; bare
+// macOS names are Intel bottles.
+function bottlePlatform(tag) {
+  if (tag === "all") return "any platform";
+  const m = tag.match(/^(arm64_|x86_64_)?(.+)$/);
+  const arch = m[1] ? m[1].slice(0, -1) : "x86_64";
+  if (m[2] === "linux") return "Linux " + arch;
+  return "macOS " + (MACOS_NAMES[m[2]] || m[2]) + " " + arch;
+}
+
+function formatSize(bytes) {
+  if (!bytes) return "";
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(0) + " KB";
+  return (bytes / 1024 / 1024).toFixed(1) + " MB";
+}
+
+// Facts are escaped when rendered unless already wrapped by link(). Upstream
+// URLs only become links when they are http(s).
+function link(href, text = href) {
+  if (!/^https?:\/\//.test(href)) return text;
+  return { html: '<a href="' + escapeHtml(href) + '" rel="nofollow">' + escapeHtml(text) + "</a>" };
+}
+
+function renderInstallBox(command, prefix, target, extraClass = "") {
+  return `<div class="install${extraClass}" data-cmd="${escapeHtml(command)}" onclick="copyCmd(this)">
+      <span><span class="p">$</span> <span class="c">${escapeHtml(prefix)}</span> <span class="u">${escapeHtml(target)}</span></span>
+      <button class="cp">copy</button>
+    </div>`;
+}
+
+function renderList(items) {
+  if (items.length === 0) return `<p class="none">None</p>`;
+  const chips = items.map((item) => {
+    const label = item.href ? `<a href="${escapeHtml(item.href)}">${escapeHtml(item.name)}</a>` : escapeHtml(item.name || item.label);
+    return `<li>${label}${item.note ? ` <span>${escapeHtml(item.note)}</span>` : ""}</li>`;
+  });
+  return `<ul>${chips.join("")}</ul>`;
+}
+
+function renderPackage(pkg) {
+  const installUrl = ORIGIN + "/install?" + pkg.query;
+  const oneLiner = 'curl -fsSL "' + installUrl + '" | bash';
+  const words = pkg.command.split(" ");
+  const facts = [["Version", pkg.version], ...pkg.facts]
+    .filter(([, value]) => value)
+    .map(([key, value]) => `<dt>${escapeHtml(key)}</dt><dd>${value.html || escapeHtml(value)}</dd>`);
+
+  const body = `  <section class="pkg">
+    <p class="kind">${escapeHtml(pkg.kind)}</p>
+    <h1>${escapeHtml(pkg.name)}</h1>
+    <p class="sub">${escapeHtml(pkg.desc || "No description.")}</p>
+    ${renderInstallBox(pkg.command, words.slice(0, -1).join(" "), words[words.length - 1])}
+    <p class="note">No nb yet? This installs it, then ${escapeHtml(pkg.name)}:</p>
+    ${renderInstallBox(oneLiner, "curl -fsSL", '"' + installUrl + '" | bash', " small")}
+  </section>
+
+  <section class="facts">
+    <dl>${facts.join("")}</dl>
+    <h2>Dependencies</h2>
+    ${renderList(pkg.dependencies)}
+${pkg.buildDependencies.length > 0 ? `    <h2>Build dependencies</h2>
+    ${renderList(pkg.buildDependencies)}
+` : ""}    <h2>Platforms</h2>
+    ${pkg.platforms.length > 0 ? renderList(pkg.platforms) : `<p class="none">No bottles; nb builds it from source</p>`}
+    <p class="src">Metadata from <a href="${escapeHtml(pkg.source.href)}" rel="nofollow">${escapeHtml(pkg.source.label)}</a>, cached at the edge.</p>
+  </section>`;
+
+  return renderPage({
+    title: pkg.name + " — nanobrew",
+    description: (pkg.desc ? pkg.desc + ". " : "") + "Install with: " + pkg.command,
+    body,
+    css: PAGE_CSS,
+    script: COPY_SCRIPT,
+  });
+}
+
+function renderMessage(title, message) {
+  return renderPage({
+    title: title + " — nanobrew",
+    description: message,
+    body: `  <section class="pkg">
+    <h1>${escapeHtml(title)}</h1>
+    <p class="sub">${escapeHtml(message)} Try <code>nb search</code> or the <a href="/">home page</a>.</p>
+  </section>`,
+    css: PAGE_CSS,
+  });
+}
@@ -0,0 +1,236 @@
+export const REPO = "justrach/nanobrew";
+export const ORIGIN = "https://nanobrew.trilok.ai";
+
+const GITHUB_API = "https://api.github.com/repos/" + REPO;
+const GITHUB_HEADERS = {
+  "User-Agent": "nanobrew-worker",
+  Accept: "application/vnd.github+json",
+};
+
+// A published release never changes its assets, so tag lookups can be kept a day.
+const TAG_CACHE_TTL = 86400;
+const LATEST_CACHE_TTL = 300; // 5 minutes
+// The last release GitHub successfully returned, kept long enough to outlive
+// any outage. Served (marked stale) when GitHub errors or rate-limits us.
+const LAST_KNOWN_GOOD_TTL = 31536000; // 1 year
+
+// Release tarball for each platform nb ships on, keyed "<arch>-<os>".
+export const PLATFORMS = {
+  "aarch64-darwin": "nb-arm64-apple-darwin.tar.gz",
+  "x86_64-darwin": "nb-x86_64-apple-darwin.tar.gz",
+  "aarch64-linux": "nb-aarch64-linux.tar.gz",
+  "x86_64-linux": "nb-x86_64-linux.tar.gz",
+};
+
+// Spellings of `uname -s` / `uname -m` and common aliases, mapped to PLATFORMS keys.
+const OS_ALIASES = { darwin: "darwin", macos: "darwin", osx: "darwin", linux: "linux" };
+const ARCH_ALIASES = { x86_64: "x86_64", amd64: "x86_64", x64: "x86_64", arm64: "aarch64", aarch64: "aarch64" };
+
+// Maps an OS/arch pair (raw `uname` output is fine) to a PLATFORMS key.
+// Returns null when nb has no build for it.
+export function resolvePlatform(os, arch) {
+  const o = OS_ALIASES[String(os || "").toLowerCase()];
+  const a = ARCH_ALIASES[String(arch || "").toLowerCase()];
+  if (!o || !a) return null;
+  const platform = a + "-" + o;
+  return PLATFORMS[platform] ? platform : null;
+}
+
+// Parses "x86_64-linux", "arm64-apple-darwin", "aarch64-unknown-linux-gnu"
+// and similar target strings.
+export function parsePlatform(target) {
+  const parts = String(target || "").toLowerCase().split("-");
+  return resolvePlatform(parts.slice(1).find((p) => OS_ALIASES[p]), parts[0]);
+}
+
+const CHANGELOG_EXCERPT_MAX = 4000;
+
+const TAG_RE = /^v?\d+(\.\d+)*(-[0-9A-Za-z.-]+)?$/;
+
+// Turns "0.1.067" or "v0.1.067" into the "v0.1.067" tag form used by releases.
+// Returns null for anything that doesn't look like a version, so the result is
+// always safe to embed in a script.
+export function normalizeTag(raw) {
+  if (!raw || !TAG_RE.test(raw)) return null;
+  return raw.startsWith("v") ? raw : "v" + raw;
+}
+
+export function versionFromTag(tag) {
+  return tag.startsWith("v") ? tag.slice(1) : tag;
+}
+
+// Keeps only the fields the worker needs so cached entries stay small.
+function trimRelease(data) {
+  return {
+    tag_name: data.tag_name || "",
+    published_at: data.published_at || null,
+    prerelease: !!data.prerelease,
+    body: data.body || "",
+    assets: (data.assets || []).map((a) => ({
+      name: a.name,
+      size: a.size,
+      url: a.browser_download_url,
+    })),
+  };
+}
+
+async function cacheGetJSON(key) {
+  const cached = await caches.default.match(new Request(ORIGIN + key));
+  return cached ? cached.json() : null;
+}
+
+async function cachePutJSON(key, value, ttl) {
+  await caches.default.put(new Request(ORIGIN + key), new Response(JSON.stringify(value), {
+    headers: {
+      "content-type": "application/json",
+      "cache-control": "public, max-age=" + ttl,
+    },
+  }));
+}
+
+// Looks up a release by tag. Returns null when GitHub has no such release and
+// throws when GitHub can't answer (rate limit, outage).
+export async function fetchReleaseByTag(tag) {
+  const cached = await cacheGetJSON("/_cached/release/" + tag);
+  if (cached) return cached;
+
+  const gh = await fetch(GITHUB_API + "/releases/tags/" + encodeURIComponent(tag), {
+    headers: GITHUB_HEADERS,
+  });
+  if (gh.status === 404) return null;
+  if (!gh.ok) throw new Error("GitHub returned " + gh.status);
+
+  const release = trimRelease(await gh.json());
+  await cachePutJSON("/_cached/release/" + tag, release, TAG_CACHE_TTL);
+  return release;
+}
+
+// Release channels, least to most adventurous. Each channel also gets every
+// release of the channels before it, so beta users move on to a stable release
+// that is newer than the last beta.
+export const CHANNELS = ["stable", "beta", "nightly"];
+
+// Tags follow the naming convention v0.1.068-beta.1 / -rc.1 and
+// v0.1.068-nightly.20260301; any other GitHub pre-release counts as beta.
+function releaseChannel(release) {
+  if (/-nightly\b/i.test(release.tag_name)) return "nightly";
+  if (release.prerelease || /-(alpha|beta|rc)\b/i.test(release.tag_name)) return "beta";
+  return "stable";
+}
+
+// Published releases, newest first.
+async function fetchReleaseList() {
+  const gh = await fetch(GITHUB_API + "/releases?per_page=50", { headers: GITHUB_HEADERS });
+  if (!gh.ok) throw new Error("GitHub returned " + gh.status);
+  return (await gh.json())
+    .filter((r) => !r.draft && r.published_at)
+    .sort((a, b) => Date.parse(b.published_at) - Date.parse(a.published_at))
+    .map(trimRelease);
+}
+
+async function fetchChannelRelease(channel, skip) {
+  if (channel === "stable") {
+    const gh = await fetch(GITHUB_API + "/releases/latest", { headers: GITHUB_HEADERS });
+    if (!gh.ok) throw new Error("GitHub returned " + gh.status);
+    const latest = trimRelease(await gh.json());
+    if (!skip(latest)) return latest;
+  }
+
+  const rank = CHANNELS.indexOf(channel);
+  const release = (await fetchReleaseList()).find((r) => CHANNELS.indexOf(releaseChannel(r)) <= rank && !skip(r));
+  if (!release) throw new Error("no releases on the " + channel + " channel");
+  return release;
+}
+
+// Resolves the latest release on a channel, passing over yanked versions. If
+// GitHub fails, falls back to the last known good release with `stale: true`
+// set; throws only if there is none.
+export async function fetchLatestRelease(channel = "stable", yanked = []) {
+  const key = channel === "stable" ? "latest" : "latest-" + channel;
+  const skip = (release) => yanked.includes(versionFromTag(release.tag_name));
+
+  // A version yanked since it was cached is dropped right away
+  const cached = await cacheGetJSON("/_cached/release/" + key);
+  if (cached && !skip(cached)) return cached;
+
+  try {
+    const release = await fetchChannelRelease(channel, skip);
+    await cachePutJSON("/_cached/release/" + key, release, LATEST_CACHE_TTL);
+    await cachePutJSON("/_lkg/release/" + key, release, LAST_KNOWN_GOOD_TTL);
+    return release;
+  } catch (err) {
+    const lastKnownGood = await cacheGetJSON("/_lkg/release/" + key);
+    if (!lastKnownGood || skip(lastKnownGood)) throw err;
+    return { ...lastKnownGood, stale: true };
+  }
+}
+
+const CHECKSUM_LINE_RE = /^([0-9a-f]{64})\s+\*?(\S+)$/;
+
+// Collects the SHA-256 of every tarball in a release, keyed by asset name.
+// Prefers a SHA256SUMS manifest and falls back to the per-tarball .sha256
+// files older releases shipped.
+export async function fetchChecksums(release) {
+  const cached = await cacheGetJSON("/_cached/checksums/" + release.tag_name);
+  if (cached) return cached;
+
+  const manifest = release.assets.find((a) => a.name === "SHA256SUMS");
+  const sources = manifest ? [manifest] : release.assets.filter((a) => a.name.endsWith(".tar.gz.sha256"));
+  const checksums = {};
+  for (const asset of sources) {
+    const res = await fetch(asset.url, { headers: { "User-Agent": "nanobrew-worker" } });
+    if (!res.ok) throw new Error("could not fetch " + asset.name + ": " + res.status);
+    for (const line of (await res.text()).split("\n")) {
+      const m = line.trim().match(CHECKSUM_LINE_RE);
+      if (!m) continue;
+      // Per-tarball files are named after their tarball; trust that over the path inside
+      const name = manifest ? m[2].split("/").pop() : asset.name.slice(0, -".sha256".length);
+      checksums[name] = m[1];
+    }
+  }
+
+  await cachePutJSON("/_cached/checksums/" + release.tag_name, checksums, TAG_CACHE_TTL);
+  return checksums;
+}
+
+// Renders checksums in the `sha256sum` format, so `sha256sum -c` can read it.
+export function formatChecksums(checksums) {
+  return Object.keys(checksums)
+    .sort()
+    .map((name) => checksums[name] + "  " + name + "\n")
+    .join("");
+}
+
+// Structured form of a release for /version.json: per-platform tarballs with
+// their checksums, plus enough context for nb to explain an update.
+export function releaseMetadata(release, checksums, minSupported) {
+  const assets = {};
+  for (const [platform, name] of Object.entries(PLATFORMS)) {
+    const asset = release.assets.find((a) => a.name === name);
+    if (!asset) continue;
+    assets[platform] = {
+      name,
+      url: asset.url,
+      size: asset.size,
+      sha256: (checksums && checksums[name]) || null,
+    };
+  }
+
+  let changelog = release.body.trim();
+  if (changelog.length > CHANGELOG_EXCERPT_MAX) {
+    changelog = changelog.slice(0, CHANGELOG_EXCERPT_MAX).trimEnd() + "\n…";
+  }
+
+  return {
+    version: versionFromTag(release.tag_name),
+    tag: release.tag_name,
+    published_at: release.published_at,
+    prerelease: release.prerelease,
+    channel: releaseChannel(release),
+    min_supported: minSupported || null,
+    stale: !!release.stale,
+    html_url: "https://github.com/" + REPO + "/releases/tag/" + release.tag_name,
+    changelog,
+    assets,
+  };
+}
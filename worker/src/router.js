@@ -0,0 +1,147 @@
+import { ORIGIN, REPO } from "./release.js";
+import { errorScript } from "./install.js";
+import { detectClient } from "./clients.js";
+import { scriptResponse, textResponse, jsonResponse, htmlResponse } from "./http.js";
+import { escapeHtml, renderPage } from "./html.js";
+
+// Method, CORS and error handling around the route table in index.js. A
+// route is { match, methods, cors, json, handle }:
+//   match(pathname)  truthy (e.g. a regex match) when the route applies
+//   methods          what handle accepts; HEAD comes with GET
+//   cors             data any origin may read, preflight included
+//   json             errors are JSON, as they always are under /api/
+//   handle(req)      req is { request, url, env, ctx, client, match }
+
+export const GET = ["GET"];
+export const POST = ["POST"];
+
+// Request headers browsers may send to data routes after a preflight
+const CORS_REQUEST_HEADERS = "content-type, if-none-match, range";
+
+// Response headers scripts on other origins may read
+const CORS_EXPOSED_HEADERS = "etag, content-range, x-nanobrew-cache, x-nanobrew-stale, x-nanobrew-version, x-index-version, x-tap-path";
+
+const PAGE_CSS = `
+  /* ── Not found ── */
+  .nf {
+    padding: 6rem 0 5rem;
+  }
+  .nf h1 {
+    font-family: var(--fd);
+    font-weight: 800;
+    font-size: clamp(2.4rem, 7vw, 4rem);
+    color: var(--bright);
+    letter-spacing: -0.03em;
+    line-height: 1;
+    margin-bottom: 1rem;
+    animation: fadeUp 0.7s ease-out both;
+  }
+  .nf p {
+    font-size: 0.85rem;
+    color: var(--muted);
+    animation: fadeUp 0.7s ease-out 0.08s both;
+  }
+  .nf a { color: var(--gold); text-decoration: none; }
+  .nf a:hover { text-decoration: underline; }
+`;
+
+function allowedMethods(route) {
+  const methods = route.methods.includes("GET") ? [...route.methods, "HEAD"] : [...route.methods];
+  return [...methods, "OPTIONS"];
+}
+
+export async function routeRequest(routes, request, env, ctx) {
+  const url = new URL(request.url);
+  const client = detectClient(request.headers.get("user-agent"));
+
+  let route = null;
+  let match = null;
+  for (const candidate of routes) {
+    match = candidate.match(url.pathname);
+    if (match) {
+      route = candidate;
+      break;
+    }
+  }
+  if (!route) return notFound(request, url, client);
+
+  const methods = allowedMethods(route);
+  const allow = methods.join(", ");
+  if (request.method === "OPTIONS") {
+    const resp = new Response(null, { status: 204, headers: { allow } });
+    if (route.cors) {
+      resp.headers.set("access-control-allow-origin", "*");
+      resp.headers.set("access-control-allow-methods", allow);
+      resp.headers.set("access-control-allow-headers", CORS_REQUEST_HEADERS);
+      resp.headers.set("access-control-max-age", "86400");
+    }
+    return resp;
+  }
+  if (!methods.includes(request.method)) {
+    const message = request.method + " is not allowed on " + url.pathname + ", use " + route.methods.join(" or ");
+    const resp = errorResponse(route.json || isApiPath(url.pathname) ? "json" : errorFormat(request, client), 405, message, "no-store");
+    resp.headers.set("vary", "user-agent, accept");
+    resp.headers.set("allow", allow);
+    if (route.cors) resp.headers.set("access-control-allow-origin", "*");
+    return resp;
+  }
+
+  let handled;
+  try {
+    handled = await route.handle({ request, url, env, ctx, client, match });
+  } catch (err) {
+    // A bad escape, a KV outage or malformed upstream data: answer in the
+    // route's error format rather than with Cloudflare's HTML error page,
+    // which curl would pipe into bash
+    console.error(err);
+    const format = route.json || isApiPath(url.pathname) ? "json" : errorFormat(request, client);
+    const resp = errorResponse(format, 500, "internal error on " + url.pathname + ", try again shortly", "no-store");
+    resp.headers.set("vary", "user-agent, accept");
+    if (route.cors) resp.headers.set("access-control-allow-origin", "*");
+    return request.method === "HEAD" ? new Response(null, resp) : resp;
+  }
+  // Handlers build immutable upstream or cached responses as often as their
+  // own, so headers are set on a copy. HEAD gets GET's headers and no body.
+  const resp = new Response(request.method === "HEAD" ? null : handled.body, handled);
+  if (route.cors) {
+    resp.headers.set("access-control-allow-origin", "*");
+    resp.headers.set("access-control-expose-headers", CORS_EXPOSED_HEADERS);
+  }
+  return resp;
+}
+
+function isApiPath(pathname) {
+  return pathname === "/api" || pathname.startsWith("/api/");
+}
+
+// curl/wget output usually goes straight into bash, so they get a script
+// that fails loudly; browsers get a page and everything else plain text.
+function errorFormat(request, client) {
+  if (client.kind === "shell") return "script";
+  if ((request.headers.get("accept") || "").includes("text/html")) return "html";
+  return "text";
+}
+
+function errorResponse(format, status, message, cacheControl, hint) {
+  if (format === "json") return jsonResponse({ error: message }, status, cacheControl);
+  if (format === "script") return scriptResponse(errorScript(message, hint), cacheControl, status);
+  if (format === "text") return textResponse("error: " + message + "\n" + (hint ? "hint: " + hint + "\n" : ""), status, cacheControl);
+  const title = { 404: "Not found", 405: "Method not allowed" }[status] || "Something went wrong";
+  return htmlResponse(renderPage({
+    title: title + " — nanobrew",
+    description: message,
+    body: `  <section class="nf">
+    <h1>${title}</h1>
+    <p>${escapeHtml(message)}. Go to the <a href="/">home page</a>, the <a href="/changelog">changelog</a> or <a href="https://github.com/${REPO}">nanobrew on GitHub</a>.</p>
+  </section>`,
+    css: PAGE_CSS,
+  }), status, cacheControl);
+}
+
+function notFound(request, url, client) {
+  const format = isApiPath(url.pathname) ? "json" : errorFormat(request, client);
+  const resp = errorResponse(format, 404, "nothing at " + url.pathname, "public, max-age=60", "to install nanobrew, run: curl -fsSL " + ORIGIN + " | bash");
+  resp.headers.set("vary", "user-agent, accept");
+  if (request.method === "HEAD") return new Response(null, resp);
+  return resp;
+}
@@ -0,0 +1,210 @@
+import { ORIGIN } from "./release.js";
+import { fetchBrewList } from "./brew.js";
+import { jsonResponse } from "./http.js";
+import { sha256Hex } from "./cache.js";
+
+// Server-side `nb search`: a compact index (name, aliases, desc, version,
+// bottle tags) built from the cached formula/cask lists, ranked at the edge
+// instead of shipping tens of MB to the client.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const TYPES = ["formula", "cask"];
+
+// Rebuilt whenever either upstream list changes; this only bounds storage.
+const INDEX_CACHE_TTL = 7 * 86400;
+
+function compactFormula(f) {
+  return {
+    type: "formula",
+    name: f.name,
+    aliases: [...(f.aliases || []), ...(f.oldnames || [])],
+    desc: f.desc || "",
+    version: (f.versions && f.versions.stable) || "",
+    bottles: Object.keys((f.bottle && f.bottle.stable && f.bottle.stable.files) || {}),
+  };
+}
+
+function compactCask(c) {
+  return {
+    type: "cask",
+    name: c.token,
+    aliases: [...(c.name || []), ...(c.old_tokens || [])],
+    desc: c.desc || "",
+    version: c.version || "",
+    bottles: [],
+  };
+}
+
+// Yields each element of the JSON array in stream, parsed on its own, so the
+// formula and cask lists (tens of MB) are never held as one string or one
+// object tree. Only finds elements that are objects or arrays, which is all
+// the lists contain.
+async function* jsonArrayItems(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const significant = /["\\[\]{}]/g;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let partial = null; // text of the element read so far, when inside one
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const text = decoder.decode(value, { stream: true });
+    let start = partial === null ? -1 : 0;
+    significant.lastIndex = escaped ? 1 : 0;
+    escaped = false;
+    let m;
+    while ((m = significant.exec(text))) {
+      const at = m.index;
+      const c = text[at];
+      if (c === "\\") {
+        // Skip the escaped character, which may start the next chunk
+        if (at + 1 < text.length) significant.lastIndex = at + 2;
+        else escaped = true;
+      } else if (c === '"') {
+        inString = !inString;
+      } else if (inString) {
+        continue;
+      } else if (c === "{" || c === "[") {
+        if (depth === 1) {
+          start = at;
+          partial = "";
+        }
+        depth++;
+      } else {
+        depth--;
+        if (depth === 1) {
+          yield JSON.parse(partial + text.slice(start, at + 1));
+          partial = null;
+          start = -1;
+        }
+      }
+    }
+    if (partial !== null) partial += text.slice(start);
+  }
+}
+
+async function compactList(response, compact) {
+  const entries = [];
+  for await (const item of jsonArrayItems(response.body)) entries.push(compact(item));
+  return entries;
+}
+
+// The parsed index of the current version, kept for the life of the isolate.
+let loaded = null;
+
+// Returns { version, entries } or null when the upstream lists can't be had.
+// The version is derived from the upstream ETags, so clients can tell when an
+// offline snapshot is out of date.
+export async function loadSearchIndex(ctx) {
+  const [formulae, casks] = await Promise.all([fetchBrewList("formula", ctx), fetchBrewList("cask", ctx)]);
+  if (!formulae.response || !casks.response) {
+    for (const r of [formulae, casks]) if (r.response) r.response.body?.cancel();
+    return null;
+  }
+
+  const tag = (r) => r.response.headers.get("etag") || r.response.headers.get("x-fetched-at") || "";
+  const version = (await sha256Hex(tag(formulae) + "|" + tag(casks))).slice(0, 16);
+
+  const cache = caches.default;
+  const cacheKey = new Request(ORIGIN + "/_cached/search-index/" + version);
+  const current = loaded && loaded.version === version;
+  const cached = current ? null : await cache.match(cacheKey);
+  if (current || cached) {
+    // A freshly fetched list is tee'd into the edge cache; a branch left
+    // unread would buffer the whole body. Not awaited: a tee branch's cancel
+    // settles only once the cache's branch is done too.
+    formulae.response.body?.cancel();
+    casks.response.body?.cancel();
+    if (cached) loaded = { version, entries: await cached.json() };
+    return loaded;
+  }
+
+  // Both lists at once, so neither tee'd branch waits on the other
+  const [formulaEntries, caskEntries] = await Promise.all([
+    compactList(formulae.response, compactFormula),
+    compactList(casks.response, compactCask),
+  ]);
+  const entries = [...formulaEntries, ...caskEntries];
+  ctx.waitUntil(cache.put(cacheKey, new Response(JSON.stringify(entries), {
+    headers: {
+      "content-type": "application/json",
+      "cache-control": "public, max-age=" + INDEX_CACHE_TTL,
+    },
+  })));
+  loaded = { version, entries };
+  return loaded;
+}
+
+// Higher is better; 0 means no match. Every query word has to appear in the
+// name, an alias or the description.
+function score(entry, query, words) {
+  const name = entry.name.toLowerCase();
+  const aliases = entry.aliases.map((a) => a.toLowerCase());
+  if (name === query) return 100;
+  if (aliases.includes(query)) return 90;
+  if (name.startsWith(query)) return 70;
+  if (aliases.some((a) => a.startsWith(query))) return 60;
+  if (name.includes(query)) return 50;
+  if (aliases.some((a) => a.includes(query))) return 40;
+  const haystack = name + " " + aliases.join(" ") + " " + entry.desc.toLowerCase();
+  return words.every((w) => haystack.includes(w)) ? 10 : 0;
+}
+
+// /search?q=ripgrep&type=formula,cask&limit=20&platform=arm64_sequoia
+export async function searchRoute(url, ctx) {
+  const query = (url.searchParams.get("q") || "").trim().toLowerCase();
+  if (!query) return jsonResponse({ error: "missing ?q=" }, 400, "public, max-age=3600");
+
+  const types = (url.searchParams.get("type") || TYPES.join(",")).split(",").filter((t) => TYPES.includes(t));
+  if (types.length === 0) return jsonResponse({ error: "type must be formula, cask or both" }, 400, "public, max-age=3600");
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get("limit"), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const platform = url.searchParams.get("platform");
+
+  const index = await loadSearchIndex(ctx);
+  if (!index) return jsonResponse({ error: "search index unavailable, try again shortly" }, 502, "no-store");
+
+  const words = query.split(/\s+/);
+  const matches = [];
+  for (const entry of index.entries) {
+    if (!types.includes(entry.type)) continue;
+    const s = score(entry, query, words);
+    if (s > 0) matches.push({ entry, s });
+  }
+  matches.sort((a, b) => b.s - a.s || a.entry.name.length - b.entry.name.length || a.entry.name.localeCompare(b.entry.name));
+
+  const results = matches.slice(0, limit).map(({ entry }) => {
+    const { bottles, ...rest } = entry;
+    if (entry.type !== "formula") return rest;
+    // With ?platform= report just whether there is a bottle for it
+    return platform ? { ...rest, bottle: bottles.includes(platform) || bottles.includes("all") } : { ...rest, bottles };
+  });
+
+  const resp = jsonResponse({ query, total: matches.length, results }, 200, "public, max-age=300");
+  resp.headers.set("x-index-version", index.version);
+  return resp;
+}
+
+// /search/index.ndjson(.gz): the whole compact index, one entry per line, for
+// offline search. x-index-version / ETag change with the upstream lists.
+export async function searchIndexRoute(request, url, ctx) {
+  const index = await loadSearchIndex(ctx);
+  if (!index) return jsonResponse({ error: "search index unavailable, try again shortly" }, 502, "no-store");
+
+  const gzip = url.pathname.endsWith(".gz");
+  const headers = {
+    "content-type": gzip ? "application/gzip" : "application/x-ndjson; charset=utf-8",
+    "cache-control": "public, max-age=3600",
+    "access-control-allow-origin": "*",
+    "etag": '"' + index.version + '"',
+    "x-index-version": index.version,
+  };
+  if (request.headers.get("if-none-match") === headers.etag) return new Response(null, { status: 304, headers });
+
+  const ndjson = index.entries.map((e) => JSON.stringify(e)).join("\n") + "\n";
+  let body = new Response(ndjson).body;
+  if (gzip) body = body.pipeThrough(new CompressionStream("gzip"));
+  return new Response(body, { headers });
+}
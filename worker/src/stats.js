@@ -0,0 +1,168 @@
+import { PLATFORMS, normalizeTag, versionFromTag } from "./release.js";
+import { jsonResponse } from "./http.js";
+
+// Aggregate counts of installs, tarball downloads and nb's update checks, so
+// dropping a platform or an old version can be decided from data. Only the
+// date, event, platform and version are kept (no IPs, User-Agents or other
+// identifiers), and clients sending `DNT: 1` or `Sec-GPC: 1` aren't counted
+// at all. Counts live in StatsCounter Durable Objects behind the STATS
+// binding; without it nothing is recorded and /stats answers 503.
+
+export const EVENTS = ["install", "download", "update_check"];
+
+const UNKNOWN = "unknown";
+const MAX_VERSION_LENGTH = 40;
+
+const RETENTION_DAYS = 90;
+const DEFAULT_DAYS = 30;
+
+// Distinct event/platform/version keys kept per day; beyond that counts go to
+// "other" so made-up versions can't grow storage without bound.
+const MAX_KEYS_PER_DAY = 500;
+
+// Each count goes to one of this many StatsCounter instances, picked at
+// random, and /stats sums them. A single instance runs its increments one at
+// a time, so one for every install and update check would be a hot spot.
+const SHARDS = 16;
+
+function shard(env, n) {
+  return env.STATS.get(env.STATS.idFromName("shard-" + n));
+}
+
+function isoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Counts one event in the background unless the client opted out or the
+// binding is missing. platform is a PLATFORMS key and version a release
+// version; anything else is recorded as "unknown".
+export function countEvent(request, env, ctx, event, platform, version) {
+  if (!env.STATS || request.method !== "GET") return;
+  if (request.headers.get("dnt") === "1" || request.headers.get("sec-gpc") === "1") return;
+
+  const tag = version && version.length <= MAX_VERSION_LENGTH ? normalizeTag(version) : null;
+  const key = [event, PLATFORMS[platform] ? platform : UNKNOWN, tag ? versionFromTag(tag) : UNKNOWN].join("|");
+  // Counting must never fail or slow down the response it rides along with
+  try {
+    const counter = shard(env, Math.floor(Math.random() * SHARDS));
+    ctx.waitUntil(
+      counter.fetch("https://stats/count", { method: "POST", body: key }).catch(() => {}),
+    );
+  } catch {
+    // dropped
+  }
+}
+
+// GET /stats?days=30 (1-90)
+export async function statsRoute(url, env) {
+  if (!env.STATS) return jsonResponse({ error: "stats are not configured on this server" }, 503, "no-store");
+
+  const raw = url.searchParams.get("days");
+  const days = raw === null ? DEFAULT_DAYS : Number(raw);
+  if (!Number.isInteger(days) || days < 1 || days > RETENTION_DAYS) {
+    return jsonResponse({ error: "days must be a number from 1 to " + RETENTION_DAYS }, 400, "public, max-age=3600");
+  }
+
+  let shards;
+  try {
+    shards = await Promise.all(Array.from({ length: SHARDS }, async (_, n) => {
+      const resp = await shard(env, n).fetch("https://stats/days?days=" + days);
+      if (!resp.ok) throw new Error("stats shard " + n + " answered " + resp.status);
+      return resp.json();
+    }));
+  } catch {
+    return jsonResponse({ error: "stats unavailable, try again shortly" }, 503, "no-store");
+  }
+  const stored = mergeShards(shards);
+
+  const empty = () => Object.fromEntries(EVENTS.map((event) => [event, {}]));
+  const totals = Object.fromEntries(EVENTS.map((event) => [event, 0]));
+  const platforms = empty();
+  const versions = empty();
+  const daily = [];
+  for (const [date, counts] of Object.entries(stored.days)) {
+    const day = { date, ...Object.fromEntries(EVENTS.map((event) => [event, 0])) };
+    for (const [key, count] of Object.entries(counts)) {
+      const [event, platform, version] = key.split("|");
+      if (!EVENTS.includes(event)) continue;
+      totals[event] += count;
+      day[event] += count;
+      platforms[event][platform] = (platforms[event][platform] || 0) + count;
+      versions[event][version] = (versions[event][version] || 0) + count;
+    }
+    daily.push(day);
+  }
+
+  return jsonResponse({
+    from: stored.from,
+    to: stored.to,
+    days,
+    totals,
+    platforms,
+    versions,
+    daily,
+  }, 200, "public, max-age=300");
+}
+
+// Sums the shards' { from, to, days } into one, days in date order.
+function mergeShards(shards) {
+  const days = {};
+  for (const shard of shards) {
+    for (const [date, counts] of Object.entries(shard.days)) {
+      const day = (days[date] = days[date] || {});
+      for (const [key, count] of Object.entries(counts)) day[key] = (day[key] || 0) + count;
+    }
+  }
+  const sorted = Object.fromEntries(Object.keys(days).sort().map((date) => [date, days[date]]));
+  return { from: shards[0].from, to: shards[0].to, days: sorted };
+}
+
+// One shard: a counts object per UTC day, keyed "<event>|<platform>|<version>".
+// A Durable Object handles one request at a time, which keeps the
+// read-increment-write below from losing counts but also caps each shard's
+// throughput; that is why counts are spread over SHARDS of them.
+export class StatsCounter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (request.method === "POST" && url.pathname === "/count") {
+      await this.increment(await request.text());
+      return new Response(null, { status: 204 });
+    }
+    if (url.pathname === "/days") {
+      return Response.json(await this.read(Number(url.searchParams.get("days")) || DEFAULT_DAYS));
+    }
+    return new Response("not found", { status: 404 });
+  }
+
+  async increment(key) {
+    const dayKey = "day:" + isoDate(Date.now());
+    const counts = (await this.storage.get(dayKey)) || {};
+    const isNewDay = Object.keys(counts).length === 0;
+    if (!(key in counts) && Object.keys(counts).length >= MAX_KEYS_PER_DAY) {
+      key = key.split("|")[0] + "|other|other";
+    }
+    counts[key] = (counts[key] || 0) + 1;
+    await this.storage.put(dayKey, counts);
+    if (isNewDay) await this.prune();
+  }
+
+  async prune() {
+    const cutoff = "day:" + isoDate(Date.now() - RETENTION_DAYS * 86400 * 1000);
+    const old = await this.storage.list({ prefix: "day:", end: cutoff });
+    if (old.size > 0) await this.storage.delete([...old.keys()]);
+  }
+
+  // The last `days` days up to today, oldest first.
+  async read(days) {
+    const from = isoDate(Date.now() - (days - 1) * 86400 * 1000);
+    const to = isoDate(Date.now());
+    const stored = await this.storage.list({ prefix: "day:", start: "day:" + from });
+    const result = { from, to, days: {} };
+    for (const [key, counts] of stored) result.days[key.slice("day:".length)] = counts;
+    return result;
+  }
+}
@@ -0,0 +1,213 @@
+import { jsonResponse, textResponse } from "./http.js";
+import { fetchCached } from "./cache.js";
+
+// Third-party tap formulae: the .rb from raw.githubusercontent.com through the
+// edge cache, or pre-parsed to JSON with `Accept: application/json` so fixes to
+// tap parsing ship without a client release.
+
+const RAW = "https://raw.githubusercontent.com";
+
+// Taps move faster than homebrew-core; copies are refetched after 5 minutes and
+// served stale for a week if GitHub fails.
+const FRESH_TTL = 300;
+const STALE_TTL = 7 * 86400;
+
+const TAP_PATH_RE = /^\/tap\/([A-Za-z0-9-]+)\/([A-Za-z0-9._-]+)\/([A-Za-z0-9][A-Za-z0-9@._+-]*?)(\.rb)?$/;
+
+// Same lookup order as src/api/tap.zig: flat, then sharded by first letter.
+function formulaPaths(formula) {
+  return ["Formula/" + formula + ".rb", "Formula/" + formula[0] + "/" + formula + ".rb"];
+}
+
+// /tap/:user/:tap/:formula
+export async function tapRoute(request, url, ctx) {
+  const m = url.pathname.match(TAP_PATH_RE);
+  if (!m) return jsonResponse({ error: "expected /tap/<user>/<tap>/<formula>" }, 400, "public, max-age=3600");
+  const [, user, tap, formula] = m;
+
+  const result = await fetchTapFormula(user, tap, formula, ctx);
+  if (result.status === 404) {
+    return jsonResponse({ error: "formula not found in " + user + "/homebrew-" + tap }, 404, "public, max-age=60");
+  }
+  if (!result.response) return jsonResponse({ error: "could not reach GitHub, try again shortly" }, 502, "no-store");
+
+  const source = result.response.headers.get("x-tap-path");
+  const ruby = await result.response.text();
+  const wantsJSON = (request.headers.get("accept") || "").includes("application/json");
+
+  let resp;
+  if (wantsJSON) {
+    const parsed = parseRubyFormula(formula, ruby);
+    if (!parsed) return jsonResponse({ error: "could not find a version in " + source }, 422, "public, max-age=60");
+    resp = jsonResponse({ tap: user + "/" + tap, source, ...parsed }, 200, "public, max-age=" + FRESH_TTL);
+  } else {
+    resp = textResponse(ruby, 200, "public, max-age=" + FRESH_TTL);
+    resp.headers.set("content-type", "text/x-ruby; charset=utf-8");
+  }
+  resp.headers.set("vary", "accept");
+  resp.headers.set("x-nanobrew-cache", result.cache);
+  if (result.cache === "STALE") {
+    resp.headers.set("x-nanobrew-stale", "1");
+    resp.headers.set("cache-control", "public, max-age=60");
+  }
+  return resp;
+}
+
+// Returns { response, cache } with the .rb (x-tap-path says which path it came
+// from), or { status } when neither path exists or GitHub is failing with
+// nothing stored.
+export function fetchTapFormula(user, tap, formula, ctx) {
+  const upstreams = formulaPaths(formula).map((path) => ({
+    url: RAW + "/" + user + "/homebrew-" + tap + "/HEAD/" + path,
+    headers: { "x-tap-path": path },
+  }));
+  return fetchCached("tap/" + user + "/" + tap + "/" + formula, upstreams, {
+    freshTtl: FRESH_TTL,
+    staleTtl: STALE_TTL,
+    contentType: "text/x-ruby; charset=utf-8",
+  }, ctx);
+}
+
+// Ruby blocks that need a matching `end`, besides `... do`.
+const BLOCK_START_RE = /^(def|class|module|if|unless|case|begin|while|until)\b/;
+const PLATFORM_BLOCKS = ["on_macos", "on_linux", "on_arm", "on_intel"];
+
+const OTHER_ARCH = { on_arm: "on_intel", on_intel: "on_arm" };
+
+function emptyScope() {
+  return { dependencies: [], build_dependencies: [] };
+}
+
+// `if Hardware::CPU.arm?`, `unless Hardware::CPU.intel?` and the like, which
+// GoReleaser writes inside on_macos/on_linux: the on_arm or on_intel block they
+// stand for, or null for any other condition.
+function archCondition(line) {
+  const m = line.match(/^(if|unless|elsif)\s+Hardware::CPU\.(arm|intel)\?$/);
+  if (!m) return null;
+  return (m[1] === "unless") === (m[2] === "arm") ? "on_intel" : "on_arm";
+}
+
+// Line-by-line parse of a formula .rb, following src/api/tap.zig, except that
+// on_macos/on_linux/on_arm/on_intel blocks (and Hardware::CPU conditionals,
+// as on_arm/on_intel) are returned as nested objects instead of being resolved
+// for one platform, and the bottle block keeps every tag. Returns null when no
+// version can be found.
+export function parseRubyFormula(name, src) {
+  const top = { name, version: null, desc: "", url: "", sha256: "", ...emptyScope() };
+  // Each open block: { kind: "body" | "platform" | "conditional" | "bottle" |
+  // "other", scope }. Fields are read in the body, platform blocks and the
+  // if/unless blocks inside them; def, resource, test and the like are skipped.
+  // A Hardware::CPU conditional is a platform block that also keeps its parent
+  // scope and arch, so its else branch can switch to the other architecture.
+  const stack = [];
+  let bottle = null;
+
+  for (const raw of src.split("\n")) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const scope = stack.length ? stack[stack.length - 1].scope : top;
+    const inBody = stack.every((b) => b.kind === "platform" || b.kind === "conditional" || b === stack[0]);
+
+    if (line === "end") {
+      const block = stack.pop();
+      if (block && block.kind === "bottle") bottle = null;
+      continue;
+    }
+
+    // else/elsif of a Hardware::CPU conditional switches architecture
+    const open = stack[stack.length - 1];
+    if (open && open.arch && (line === "else" || line.startsWith("elsif "))) {
+      const arch = line === "else" ? OTHER_ARCH[open.arch] : archCondition(line);
+      if (arch) {
+        open.parent[arch] = open.parent[arch] || emptyScope();
+        open.arch = arch;
+        open.scope = open.parent[arch];
+      } else {
+        open.kind = "other";
+      }
+      continue;
+    }
+
+    if (/(^|\s)do(\s*\|[^|]*\|)?$/.test(line)) {
+      const keyword = line.split(/[\s(]/)[0];
+      if (PLATFORM_BLOCKS.includes(keyword) && inBody) {
+        scope[keyword] = scope[keyword] || emptyScope();
+        stack.push({ kind: "platform", scope: scope[keyword] });
+      } else if (keyword === "bottle" && inBody) {
+        top.bottle = top.bottle || { root_url: "", files: {} };
+        bottle = top.bottle;
+        stack.push({ kind: "bottle", scope });
+      } else {
+        stack.push({ kind: "other", scope });
+      }
+      continue;
+    }
+    if (BLOCK_START_RE.test(line) && !/\bend$/.test(line)) {
+      // The `class Foo < Formula` line opens the formula body itself; other
+      // if/unless blocks only pick between fields
+      const arch = inBody && stack.length ? archCondition(line) : null;
+      if (arch) {
+        scope[arch] = scope[arch] || emptyScope();
+        stack.push({ kind: "platform", scope: scope[arch], parent: scope, arch });
+        continue;
+      }
+      let kind = "other";
+      if (!stack.length) kind = "body";
+      else if (/^(if|unless)\b/.test(line)) kind = "conditional";
+      stack.push({ kind, scope });
+      continue;
+    }
+
+    if (bottle) {
+      const root = quotedAfter(line, "root_url");
+      if (root !== null) bottle.root_url = root;
+      if (line.startsWith("sha256")) {
+        const cellar = line.match(/cellar:\s*(:\w+|"[^"]*")/);
+        for (const [, tag, sha] of line.matchAll(/(\w+):\s*"([0-9a-f]{64})"/g)) {
+          bottle.files[tag] = { cellar: cellar ? cellar[1].replace(/"/g, "") : ":any", sha256: sha };
+        }
+      }
+      continue;
+    }
+    if (!inBody) continue;
+
+    for (const field of ["version", "desc", "url", "sha256"]) {
+      const value = quotedAfter(line, field);
+      if (value !== null && !scope[field]) scope[field] = value;
+    }
+    const dep = quotedAfter(line, "depends_on");
+    if (dep !== null) {
+      (/=>\s*:build\b/.test(line) ? scope.build_dependencies : scope.dependencies).push(dep);
+    }
+  }
+
+  const version = top.version || versionFromUrl(top.url);
+  if (!version) return null;
+  top.version = version;
+  interpolateVersion(top, version);
+  return top;
+}
+
+// `keyword "value"` at the start of a statement; null when the line is
+// something else.
+function quotedAfter(line, keyword) {
+  if (!line.startsWith(keyword + " ") && !line.startsWith(keyword + "(")) return null;
+  const m = line.slice(keyword.length).match(/^[\s(]*"([^"]*)"/);
+  return m ? m[1] : null;
+}
+
+// /v1.3.0/ or /1.3.0/ in the source URL, as in src/api/tap.zig.
+function versionFromUrl(url) {
+  const m = (url || "").match(/\/v?(\d[^/?#]*\.[^/?#]*)(?=[/?#]|$)/);
+  return m ? m[1] : null;
+}
+
+function interpolateVersion(scope, version) {
+  for (const key of ["url", "desc"]) {
+    if (scope[key]) scope[key] = scope[key].split("#{version}").join(version);
+  }
+  for (const platform of PLATFORM_BLOCKS) {
+    if (scope[platform]) interpolateVersion(scope[platform], version);
+  }
+}
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareVersions, advisoriesRoute } from "../src/advisories.js";
+
+test("compareVersions reads leading-zero patch numbers as decimals", () => {
+  assert.equal(compareVersions("0.1.052", "0.1.06"), -1);
+  assert.equal(compareVersions("0.1.06", "0.1.067"), -1);
+  assert.equal(compareVersions("0.1.067", "0.1.052"), 1);
+  assert.equal(compareVersions("0.1.06", "0.1.060"), 0);
+});
+
+test("compareVersions compares other parts as integers", () => {
+  assert.equal(compareVersions("0.2.0", "0.10.0"), -1);
+  assert.equal(compareVersions("1.0", "1.0.0"), 0);
+  assert.equal(compareVersions("v0.1.067", "0.1.067"), 0);
+});
+
+test("compareVersions sorts a pre-release before its release", () => {
+  assert.equal(compareVersions("0.1.068-beta.1", "0.1.068"), -1);
+  assert.equal(compareVersions("0.1.068", "0.1.068-rc.1"), 1);
+  assert.equal(compareVersions("0.1.068-beta.1", "0.1.067"), 1);
+  assert.equal(compareVersions("0.1.068-alpha", "0.1.068-beta"), -1);
+});
+
+test("/advisories?version= flags versions below min_supported", async () => {
+  const env = { ADVISORIES: "[]", MIN_SUPPORTED_VERSION: "0.1.06" };
+  const old = await advisoriesRoute(new URL("https://nanobrew.trilok.ai/advisories?version=0.1.052"), env).json();
+  assert.equal(old.supported, false);
+  const current = await advisoriesRoute(new URL("https://nanobrew.trilok.ai/advisories?version=0.1.067"), env).json();
+  assert.equal(current.supported, true);
+});
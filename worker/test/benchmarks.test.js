@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { benchmarkHighlights } from "../src/benchmarks.js";
+
+function suite(packages) {
+  return { suites: [{ id: "macos", packages }] };
+}
+
+test("benchmarkHighlights picks the fastest warm install and the best cold speedup", () => {
+  const highlights = benchmarkHighlights(suite([
+    { name: "tree", seconds: { cold: { brew: 5, nanobrew: 1 }, warm: { nanobrew: 0.01 } } },
+    { name: "ffmpeg", seconds: { cold: { brew: 20, nanobrew: 2 }, warm: { nanobrew: 0.5 } } },
+  ]));
+  assert.deepEqual(highlights, {
+    warm: { time: "10ms", package: "tree" },
+    speedup: { factor: "10x", package: "ffmpeg" },
+  });
+});
+
+test("benchmarkHighlights leaves out what wasn't measured", () => {
+  const highlights = benchmarkHighlights(suite([{ name: "tree", seconds: { cold: { nanobrew: 1 } } }]));
+  assert.deepEqual(highlights, { warm: null, speedup: null });
+  assert.deepEqual(benchmarkHighlights({ suites: [] }), { warm: null, speedup: null });
+});
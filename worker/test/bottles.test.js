@@ -0,0 +1,52 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { bottleRoute } from "../src/bottles.js";
+
+const DIGEST = "c".repeat(64);
+const URL_PATH = "https://nanobrew.trilok.ai/bottles/homebrew/core/jq/blobs/sha256:" + DIGEST;
+
+let requests;
+let blobStatus;
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  requests = [];
+  blobStatus = 307;
+  globalThis.caches = { default: { match: async () => undefined, put: async () => {} } };
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, headers: init.headers });
+    if (url.includes("/token?")) return Response.json({ token: "t" });
+    if (url.startsWith("https://ghcr.io/v2/") && blobStatus === 307) {
+      return new Response(null, { status: 307, headers: { location: "https://pkg-containers.example/blob" } });
+    }
+    return new Response("bytes", { status: 206, headers: { "content-length": "5", "content-range": "bytes 5-9/10" } });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete globalThis.caches;
+});
+
+function get(headers = {}) {
+  const request = new Request(URL_PATH, { headers });
+  return bottleRoute(request, new URL(URL_PATH), { waitUntil() {} });
+}
+
+test("forwards Range to GHCR and to the storage host it redirects to", async () => {
+  const resp = await get({ range: "bytes=5-9" });
+  assert.equal(resp.status, 206);
+  assert.equal(resp.headers.get("content-range"), "bytes 5-9/10");
+  const [ghcr, storage] = requests.slice(1);
+  assert.equal(ghcr.headers.Range, "bytes=5-9");
+  assert.equal(storage.headers.Range, "bytes=5-9");
+  assert.equal(storage.headers.Authorization, undefined);
+});
+
+test("forwards Range when GHCR serves the blob itself", async () => {
+  blobStatus = 206;
+  const resp = await get({ range: "bytes=5-9" });
+  assert.equal(resp.status, 206);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].headers.Range, "bytes=5-9");
+});
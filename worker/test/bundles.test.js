@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bundleRoute } from "../src/bundles.js";
+
+const FILE = 'tap "steipete/tap"\nbrew "ffmpeg"\ncask "firefox"\n';
+
+function fakeEnv(allowed = Infinity) {
+  const puts = [];
+  let calls = 0;
+  return {
+    puts,
+    BUNDLES: {
+      get: async () => null,
+      put: async (key, value, options) => puts.push({ key, value, options }),
+    },
+    BUNDLE_RATE_LIMIT: { limit: async () => ({ success: ++calls <= allowed }) },
+  };
+}
+
+function post(query, env) {
+  const url = new URL("https://nanobrew.trilok.ai/bundle" + query);
+  const request = new Request(url, { method: "POST", body: FILE, headers: { "cf-connecting-ip": "192.0.2.1" } });
+  return bundleRoute(request, url, env);
+}
+
+test("bundles expire after 30 days unless ?expires= says otherwise", async () => {
+  const env = fakeEnv();
+  const resp = await post("", env);
+  assert.equal(resp.status, 201);
+  assert.equal(env.puts[0].options.expirationTtl, 30 * 86400);
+  assert.ok((await resp.json()).expires_at);
+
+  await post("?expires=7", env);
+  assert.equal(env.puts[1].options.expirationTtl, 7 * 86400);
+  assert.equal((await post("?expires=0", env)).status, 400);
+  assert.equal((await post("?expires=366", env)).status, 400);
+});
+
+test("uploads are rate-limited and need the limiter binding", async () => {
+  const env = fakeEnv(1);
+  assert.equal((await post("", env)).status, 201);
+  const limited = await post("", env);
+  assert.equal(limited.status, 429);
+  assert.equal(env.puts.length, 1);
+
+  const unlimited = fakeEnv();
+  delete unlimited.BUNDLE_RATE_LIMIT;
+  assert.equal((await post("", unlimited)).status, 503);
+});
@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { fetchCached } from "../src/cache.js";
+
+const OPTIONS = { freshTtl: 60, staleTtl: 3600, contentType: "text/plain; charset=utf-8" };
+
+let stored;
+let pending;
+let upstream;
+let requests;
+const realFetch = globalThis.fetch;
+
+const ctx = { waitUntil: (promise) => pending.push(promise) };
+
+beforeEach(() => {
+  stored = new Map();
+  pending = [];
+  requests = [];
+  globalThis.caches = {
+    default: {
+      match: async (request) => stored.get(request.url)?.clone(),
+      put: async (request, response) => void stored.set(request.url, response),
+    },
+  };
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, ifNoneMatch: init.headers["If-None-Match"] || null });
+    return upstream(url);
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete globalThis.caches;
+});
+
+async function get(upstreams = [{ url: "https://upstream.test/a" }]) {
+  const result = await fetchCached("test/a", upstreams, OPTIONS, ctx);
+  await Promise.all(pending);
+  const body = result.response ? await result.response.text() : null;
+  return { ...result, body };
+}
+
+function age(seconds) {
+  const key = [...stored.keys()][0];
+  const copy = stored.get(key);
+  const headers = new Headers(copy.headers);
+  headers.set("x-fetched-at", String(Date.now() - seconds * 1000));
+  stored.set(key, new Response(copy.body, { headers }));
+}
+
+test("stores a miss and serves it fresh without asking upstream", async () => {
+  upstream = () => new Response("v1", { headers: { etag: '"1"' } });
+  assert.equal((await get()).cache, "MISS");
+  const hit = await get();
+  assert.equal(hit.cache, "HIT");
+  assert.equal(hit.body, "v1");
+  assert.equal(requests.length, 1);
+  const copy = [...stored.values()][0];
+  assert.equal(copy.headers.get("content-type"), "text/plain; charset=utf-8");
+  assert.equal(copy.headers.get("cache-control"), "public, max-age=3600");
+});
+
+test("revalidates a copy past freshTtl with If-None-Match", async () => {
+  upstream = () => new Response("v1", { headers: { etag: '"1"' } });
+  await get();
+  age(120);
+  upstream = () => new Response(null, { status: 304 });
+  const result = await get();
+  assert.equal(result.cache, "REVALIDATED");
+  assert.equal(result.body, "v1");
+  assert.equal(requests[1].ifNoneMatch, '"1"');
+  assert.equal((await get()).cache, "HIT");
+});
+
+test("serves the last copy when upstream fails, and 502 without one", async () => {
+  upstream = () => new Response("down", { status: 500 });
+  assert.deepEqual(await get(), { status: 502, body: null });
+
+  upstream = () => new Response("v1");
+  await get();
+  age(120);
+  upstream = () => Promise.reject(new Error("unreachable"));
+  const result = await get();
+  assert.equal(result.cache, "STALE");
+  assert.equal(result.body, "v1");
+});
+
+test("tries upstreams in order while they answer 404", async () => {
+  upstream = (url) => (url.endsWith("/b") ? new Response("found") : new Response("", { status: 404 }));
+  const result = await get([
+    { url: "https://upstream.test/a", headers: { "x-path": "a" } },
+    { url: "https://upstream.test/b", headers: { "x-path": "b" } },
+  ]);
+  assert.equal(result.cache, "MISS");
+  assert.equal(result.response.headers.get("x-path"), "b");
+
+  stored.clear();
+  upstream = () => new Response("", { status: 404 });
+  assert.deepEqual(await get(), { status: 404, body: null });
+});
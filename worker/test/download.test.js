@@ -0,0 +1,32 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { downloadRoute } from "../src/download.js";
+
+const RELEASE = {
+  tag_name: "v0.1.067",
+  published_at: "2026-02-16T00:00:00Z",
+  assets: [{ name: "nb-x86_64-linux.tar.gz", size: 1000, browser_download_url: "https://github.com/justrach/nanobrew/releases/download/v0.1.067/nb-x86_64-linux.tar.gz" }],
+};
+
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  globalThis.caches = { default: { match: async () => undefined, put: async () => {} } };
+  globalThis.fetch = async (url) => {
+    if (url.startsWith("https://api.github.com/")) return Response.json(RELEASE);
+    throw new TypeError("network connection lost");
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete globalThis.caches;
+});
+
+test("answers 502 when the tarball can't be fetched", async () => {
+  const url = new URL("https://nanobrew.trilok.ai/download/x86_64-linux?version=0.1.067");
+  const resp = await downloadRoute(new Request(url), url, {}, { waitUntil() {} });
+  assert.equal(resp.status, 502);
+  assert.equal(resp.headers.get("cache-control"), "no-store");
+  assert.match(await resp.text(), /^error: could not download nb-x86_64-linux\.tar\.gz/);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, existsSync, readdirSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { renderUninstallScript } from "../src/install.js";
+
+test("the uninstaller never removes the install directory recursively", () => {
+  for (const options of [{}, { yes: true }, { keepCache: true }]) {
+    const script = renderUninstallScript(options);
+    assert.doesNotMatch(script, /remove "\$(INSTALL_DIR|NB_ROOT)"/);
+    assert.doesNotMatch(script, /rm -rf "\$(INSTALL_DIR|NB_ROOT)"/);
+    assert.doesNotMatch(script, /"\$INSTALL_DIR"\/\*/);
+  }
+});
+
+// Runs the uninstaller against a custom prefix in a temporary directory, with
+// /opt/nanobrew swapped for a link next to it
+function uninstall(args, setup) {
+  const root = mkdtempSync(join(tmpdir(), "nb-uninstall-"));
+  const prefix = join(root, "prefix-dir");
+  const link = join(root, "opt-nanobrew");
+  for (const dir of ["prefix/bin", "cache/api", "store", "db", "completions"]) mkdirSync(join(prefix, dir), { recursive: true });
+  writeFileSync(join(prefix, "prefix/bin/nb"), "");
+  symlinkSync(prefix, link);
+  mkdirSync(join(root, "home"));
+  if (setup) setup(prefix);
+
+  const script = renderUninstallScript().replace('NB_ROOT="/opt/nanobrew"', 'NB_ROOT="' + link + '"');
+  execFileSync("bash", ["-s", "--", ...args], { input: script, env: { ...process.env, HOME: join(root, "home") } });
+  const result = { prefix: existsSync(prefix) ? readdirSync(prefix).sort() : null, link: existsSync(link) };
+  rmSync(root, { recursive: true, force: true });
+  return result;
+}
+
+test("keeps files in the prefix that nanobrew did not create", () => {
+  const result = uninstall(["--yes"], (prefix) => {
+    writeFileSync(join(prefix, "notes.txt"), "mine");
+    writeFileSync(join(prefix, ".hidden"), "mine");
+  });
+  assert.deepEqual(result, { prefix: [".hidden", "notes.txt"], link: false });
+});
+
+test("removes an emptied prefix and its link", () => {
+  assert.deepEqual(uninstall(["--yes"]), { prefix: null, link: false });
+});
+
+test("keeps the cache, the prefix and the link with --keep-cache", () => {
+  assert.deepEqual(uninstall(["--yes", "--keep-cache"], (prefix) => writeFileSync(join(prefix, "notes.txt"), "")), {
+    prefix: ["cache", "notes.txt"],
+    link: true,
+  });
+});
+
+test("changes nothing without --yes", () => {
+  assert.deepEqual(uninstall([]), { prefix: ["cache", "completions", "db", "prefix", "store"], link: true });
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareDebVersions, formulaAdvisoriesRoute } from "../src/osv.js";
+import fixture from "./fixtures/osv.json" with { type: "json" };
+
+function check(packages, env) {
+  const request = new Request("https://nanobrew.trilok.ai/advisories/formula", {
+    method: "POST",
+    body: JSON.stringify(packages),
+  });
+  return formulaAdvisoriesRoute(request, env);
+}
+
+function kv(value) {
+  return { get: async (key) => (key === "osv" ? value : null) };
+}
+
+test("compareDebVersions follows dpkg's ordering", () => {
+  assert.ok(compareDebVersions("1.0~rc1", "1.0") < 0);
+  assert.ok(compareDebVersions("1.0", "1.0+b1") < 0);
+  assert.ok(compareDebVersions("1.9", "1.10") < 0);
+  assert.ok(compareDebVersions("1.0-1", "1.0-2") < 0);
+  assert.ok(compareDebVersions("1:0.9", "2.0") > 0);
+  assert.ok(compareDebVersions("5.6.1", "5.6.1+really5.4.5-1") < 0);
+  assert.equal(compareDebVersions("0:1.2-3", "1.2-3"), 0);
+});
+
+test("answers 503 without a dataset instead of reporting packages clean", async () => {
+  const unbound = await check([{ name: "xz", version: "5.6.1" }], {});
+  assert.equal(unbound.status, 503);
+  const empty = await check([{ name: "xz", version: "5.6.1" }], { ADVISORY_DB: kv(null) });
+  assert.equal(empty.status, 503);
+});
+
+test("matches version lists and ECOSYSTEM ranges", async () => {
+  const resp = await check([
+    { name: "xz", version: "5.6.1", source: "brew" },
+    { name: "xz", version: "5.4.6", source: "brew" },
+    { name: "curl", version: "8.3.0_1", source: "brew" },
+    { name: "curl", version: "8.4.0", source: "brew" },
+    { name: "xz-utils", version: "5.6.0-0.2", source: "deb" },
+    { name: "xz-utils", version: "5.6.1+really5.4.5-1", source: "deb" },
+    { name: "xz", version: "5.6.1", source: "deb" },
+  ], { ADVISORY_DB: kv(fixture) });
+  assert.equal(resp.status, 200);
+
+  const body = await resp.json();
+  assert.equal(body.checked, 7);
+  const found = body.results.map((r) => [r.source, r.name, r.version, r.advisories.map((a) => [a.id, a.fixed])]);
+  assert.deepEqual(found, [
+    ["brew", "xz", "5.6.1", [["CVE-2024-3094", null]]],
+    ["brew", "curl", "8.3.0_1", [["CVE-2023-38545", "8.4.0"]]],
+    ["deb", "xz-utils", "5.6.0-0.2", [["CVE-2024-3094", "5.6.1+really5.4.5-1"]]],
+  ]);
+});
+
+test("rejects malformed batches", async () => {
+  const env = { ADVISORY_DB: kv(fixture) };
+  assert.equal((await check([], env)).status, 400);
+  assert.equal((await check([{ name: "xz", version: "1 2" }], env)).status, 400);
+  assert.equal((await check([{ name: "xz", version: "1.0", source: "rpm" }], env)).status, 400);
+});
@@ -0,0 +1,92 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadSearchIndex } from "../src/search.js";
+
+const formulae = [
+  {
+    name: "ripgrep",
+    aliases: ["rg"],
+    oldnames: [],
+    desc: 'Search tool like "grep" \\ {ag} [pt]',
+    versions: { stable: "14.1.1" },
+    bottle: { stable: { files: { arm64_sequoia: {}, x86_64_linux: {} } } },
+  },
+  { name: "jq", desc: "Lightweight JSON processor – ☃", versions: { stable: "1.7.1" } },
+];
+const casks = [{ token: "firefox", name: ["Mozilla Firefox"], desc: "Web browser", version: "131.0" }];
+
+let stored;
+let pending;
+let etags;
+const realFetch = globalThis.fetch;
+const ctx = { waitUntil: (promise) => pending.push(promise) };
+
+// Splits the body into 7-byte chunks, cutting through escapes, multi-byte
+// characters and braces inside strings
+function chunked(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  let at = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (at >= bytes.length) return controller.close();
+      controller.enqueue(bytes.slice(at, at + 7));
+      at += 7;
+    },
+  });
+}
+
+beforeEach(() => {
+  stored = new Map();
+  pending = [];
+  etags = { formula: '"f1"', cask: '"c1"' };
+  globalThis.caches = {
+    default: {
+      match: async (request) => stored.get(request.url)?.clone(),
+      put: async (request, response) => void stored.set(request.url, new Response(await response.arrayBuffer(), response)),
+    },
+  };
+  globalThis.fetch = async (url) => {
+    const kind = url.endsWith("/cask.json") ? "cask" : "formula";
+    return new Response(chunked(kind === "cask" ? casks : formulae), { headers: { etag: etags[kind] } });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete globalThis.caches;
+});
+
+test("builds the compact index from lists read in chunks", async () => {
+  const index = await loadSearchIndex(ctx);
+  await Promise.all(pending);
+  assert.match(index.version, /^[0-9a-f]{16}$/);
+  assert.deepEqual(index.entries, [
+    {
+      type: "formula",
+      name: "ripgrep",
+      aliases: ["rg"],
+      desc: 'Search tool like "grep" \\ {ag} [pt]',
+      version: "14.1.1",
+      bottles: ["arm64_sequoia", "x86_64_linux"],
+    },
+    { type: "formula", name: "jq", aliases: [], desc: "Lightweight JSON processor – ☃", version: "1.7.1", bottles: [] },
+    { type: "cask", name: "firefox", aliases: ["Mozilla Firefox"], desc: "Web browser", version: "131.0", bottles: [] },
+  ]);
+});
+
+test("changes version with the upstream lists", async () => {
+  const first = await loadSearchIndex(ctx);
+  etags.cask = '"c2"';
+  stored.clear();
+  const second = await loadSearchIndex(ctx);
+  assert.notEqual(first.version, second.version);
+  assert.equal(second.entries.length, 3);
+});
+
+test("reuses the index for unchanged lists without reading them again", async () => {
+  const first = await loadSearchIndex(ctx);
+  await Promise.all(pending);
+  stored.clear();
+  const second = await loadSearchIndex(ctx);
+  assert.equal(second, first);
+});
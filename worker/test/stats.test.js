@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { StatsCounter, countEvent, statsRoute } from "../src/stats.js";
+
+// Durable Object storage: get/put/delete and a sorted list() with prefix,
+// start and end
+function fakeStorage() {
+  const data = new Map();
+  return {
+    get: async (key) => data.get(key),
+    put: async (key, value) => void data.set(key, value),
+    delete: async (keys) => keys.forEach((key) => data.delete(key)),
+    list: async ({ prefix = "", start = "", end = "￿" }) =>
+      new Map([...data].filter(([key]) => key.startsWith(prefix) && key >= start && key < end).sort()),
+  };
+}
+
+// A STATS namespace whose objects are StatsCounter instances, created by name.
+// Each handles one request at a time, as a Durable Object does.
+function fakeNamespace() {
+  const objects = new Map();
+  return {
+    objects,
+    idFromName: (name) => name,
+    get: (id) => {
+      if (!objects.has(id)) objects.set(id, { counter: new StatsCounter({ storage: fakeStorage() }), queue: Promise.resolve() });
+      const object = objects.get(id);
+      return {
+        fetch: (url, init) => {
+          const resp = object.queue.then(() => object.counter.fetch(new Request(url, init)));
+          object.queue = resp.catch(() => {});
+          return resp;
+        },
+      };
+    },
+  };
+}
+
+function request(headers = {}) {
+  return new Request("https://nanobrew.trilok.ai/version", { headers });
+}
+
+test("spreads counts over shards and sums them in /stats", async () => {
+  const env = { STATS: fakeNamespace() };
+  const pending = [];
+  const ctx = { waitUntil: (promise) => pending.push(promise) };
+  for (let i = 0; i < 200; i++) countEvent(request(), env, ctx, "update_check", "x86_64-linux", "0.1.067");
+  countEvent(request(), env, ctx, "install", "aarch64-darwin", "v0.1.067");
+  countEvent(request({ dnt: "1" }), env, ctx, "install", "aarch64-darwin", "v0.1.067");
+  await Promise.all(pending);
+  assert.ok(env.STATS.objects.size > 1);
+
+  const resp = await statsRoute(new URL("https://nanobrew.trilok.ai/stats?days=1"), env);
+  const body = await resp.json();
+  assert.equal(resp.status, 200);
+  assert.deepEqual(body.totals, { install: 1, download: 0, update_check: 200 });
+  assert.deepEqual(body.versions.update_check, { "0.1.067": 200 });
+  assert.equal(body.daily.length, 1);
+});
+
+test("counting never throws into the request", () => {
+  const env = { STATS: { idFromName: () => { throw new Error("binding down"); } } };
+  assert.doesNotThrow(() => countEvent(request(), env, { waitUntil() {} }, "install", "x86_64-linux", "0.1.067"));
+});
+
+test("answers 503 when a shard fails", async () => {
+  const env = { STATS: { idFromName: (name) => name, get: () => ({ fetch: async () => new Response("", { status: 500 }) }) } };
+  const resp = await statsRoute(new URL("https://nanobrew.trilok.ai/stats"), env);
+  assert.equal(resp.status, 503);
+});
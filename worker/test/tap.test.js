@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseRubyFormula } from "../src/tap.js";
+
+const ARM_SHA = "a".repeat(64);
+const INTEL_SHA = "b".repeat(64);
+
+// The layout GoReleaser generates for taps
+const GORELEASER = `class Foo < Formula
+  desc "Foo tool"
+  homepage "https://example.com/foo"
+  version "1.2.3"
+
+  on_macos do
+    if Hardware::CPU.arm?
+      url "https://example.com/foo_#{version}_darwin_arm64.tar.gz"
+      sha256 "${ARM_SHA}"
+    end
+    if Hardware::CPU.intel?
+      url "https://example.com/foo_#{version}_darwin_amd64.tar.gz"
+      sha256 "${INTEL_SHA}"
+    end
+  end
+
+  on_linux do
+    unless Hardware::CPU.arm?
+      url "https://example.com/foo_#{version}_linux_amd64.tar.gz"
+      depends_on "zlib"
+    end
+  end
+
+  resource "extra" do
+    url "https://example.com/extra.tar.gz"
+  end
+
+  def install
+    if build.head?
+      depends_on "never"
+    end
+    bin.install "foo"
+  end
+
+  test do
+    system "#{bin}/foo", "--version"
+  end
+end
+`;
+
+test("parseRubyFormula reads fields inside if/unless in platform blocks", () => {
+  const formula = parseRubyFormula("foo", GORELEASER);
+  assert.equal(formula.version, "1.2.3");
+  assert.equal(formula.desc, "Foo tool");
+  assert.equal(formula.on_macos.url, undefined);
+  assert.equal(formula.on_macos.on_arm.url, "https://example.com/foo_1.2.3_darwin_arm64.tar.gz");
+  assert.equal(formula.on_macos.on_arm.sha256, ARM_SHA);
+  assert.equal(formula.on_macos.on_intel.url, "https://example.com/foo_1.2.3_darwin_amd64.tar.gz");
+  assert.equal(formula.on_macos.on_intel.sha256, INTEL_SHA);
+  assert.equal(formula.on_linux.on_arm, undefined);
+  assert.equal(formula.on_linux.on_intel.url, "https://example.com/foo_1.2.3_linux_amd64.tar.gz");
+  assert.deepEqual(formula.on_linux.on_intel.dependencies, ["zlib"]);
+});
+
+test("parseRubyFormula keeps both architectures of an if/else on the CPU", () => {
+  const formula = parseRubyFormula("baz", `class Baz < Formula
+  version "3.0"
+  on_macos do
+    if Hardware::CPU.intel?
+      url "https://example.com/baz_amd64.tar.gz"
+      sha256 "${INTEL_SHA}"
+    else
+      url "https://example.com/baz_arm64.tar.gz"
+      sha256 "${ARM_SHA}"
+    end
+  end
+end
+`);
+  assert.deepEqual(formula.on_macos.on_intel, {
+    dependencies: [],
+    build_dependencies: [],
+    url: "https://example.com/baz_amd64.tar.gz",
+    sha256: INTEL_SHA,
+  });
+  assert.equal(formula.on_macos.on_arm.url, "https://example.com/baz_arm64.tar.gz");
+  assert.equal(formula.on_macos.on_arm.sha256, ARM_SHA);
+});
+
+test("parseRubyFormula skips def, resource and test blocks", () => {
+  const formula = parseRubyFormula("foo", GORELEASER);
+  assert.equal(formula.url, "");
+  assert.deepEqual(formula.dependencies, []);
+});
+
+test("parseRubyFormula reads top-level fields and conditionals in the body", () => {
+  const formula = parseRubyFormula("bar", `class Bar < Formula
+  desc "Bar"
+  if OS.mac?
+    url "https://example.com/v2.0/bar.tar.gz"
+    sha256 "${ARM_SHA}"
+  end
+  depends_on "pkg-config" => :build
+end
+`);
+  assert.equal(formula.version, "2.0");
+  assert.equal(formula.url, "https://example.com/v2.0/bar.tar.gz");
+  assert.deepEqual(formula.build_dependencies, ["pkg-config"]);
+});